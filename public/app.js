@@ -21,7 +21,104 @@ function badge(txt){ return el("span",{className:"badge",textContent:txt}); }
 function getExportOptions() {
   return {
     includeToc: !!optToc?.checked,
-    showPageNumbers: !!optPageNumbers?.checked
+    showPageNumbers: !!optPageNumbers?.checked,
+    rebuild: !!$("#optRebuild")?.checked,
+    print: getPrintOptions(),
+    runningHeads: getRunningHeadsOptions(),
+    citationStyle: $("#optCitationStyle")?.value || "chicago",
+    ...getThemeOptions()
+  };
+}
+
+// Running header/footer slots; leaving them all empty keeps the plain centred page number
+const RUNNING_HEAD_FIELDS = [
+  ["", "—"],
+  ["book", "Book title"],
+  ["chapter", "Chapter"],
+  ["item", "Item title"],
+  ["source", "Item source"],
+  ["page", "Page number"]
+];
+const DEFAULT_RUNNING_HEADS = { header: {}, footer: {}, pageStyle: "plain" };
+
+function getRunningHeadsOptions() {
+  const opts = { header: {}, footer: {}, pageStyle: $("#optPageStyle")?.value || "plain" };
+  for (const sel of $$(".running-slot")) {
+    if (sel.value) opts[sel.dataset.band][sel.dataset.pos] = sel.value;
+  }
+  return opts;
+}
+
+function setRunningHeadsOptions(opts = DEFAULT_RUNNING_HEADS) {
+  for (const sel of $$(".running-slot")) {
+    if (!sel.options.length) {
+      for (const [value, label] of RUNNING_HEAD_FIELDS) sel.append(el("option", { value, textContent: label }));
+    }
+    sel.value = opts[sel.dataset.band]?.[sel.dataset.pos] || "";
+  }
+  if ($("#optPageStyle")) $("#optPageStyle").value = opts.pageStyle || "plain";
+}
+
+// Visual theme for PDF and EPUB; themeAccent is null when the theme's own color is used
+function getThemeOptions() {
+  return {
+    theme: $("#optTheme")?.value || "classic",
+    themeAccent: $("#optThemeAccentOn")?.checked ? ($("#optThemeAccent")?.value || null) : null
+  };
+}
+
+// EPUB publication metadata (project options.publication); contributors are "Name, role" lines
+const CONTRIBUTOR_ROLE_CODES = { author: "aut", editor: "edt", translator: "trl", illustrator: "ill", contributor: "ctb" };
+
+function getPublicationOptions() {
+  const contributors = ($("#pubContributors")?.value || "").split("\n").map(line => {
+    const m = /^(.*),\s*([a-z]+)\s*$/i.exec(line.trim());
+    const role = m && CONTRIBUTOR_ROLE_CODES[m[2].toLowerCase()];
+    return role ? { name: m[1].trim(), role } : { name: line.trim(), role: "ctb" };
+  }).filter(c => c.name);
+  return {
+    isbn: $("#pubIsbn")?.value.trim() || "",
+    publisher: $("#pubPublisher")?.value.trim() || "",
+    language: $("#pubLanguage")?.value.trim() || "",
+    rights: $("#pubRights")?.value.trim() || "",
+    contributors,
+    accessibilitySummary: $("#pubA11ySummary")?.value.trim() || "",
+    accessibilityHazards: $("#pubA11yHazards")?.value || ""
+  };
+}
+
+function setPublicationOptions(pub = {}) {
+  const roleNames = Object.fromEntries(Object.entries(CONTRIBUTOR_ROLE_CODES).map(([name, code]) => [code, name]));
+  if ($("#pubIsbn")) $("#pubIsbn").value = pub.isbn || "";
+  if ($("#pubPublisher")) $("#pubPublisher").value = pub.publisher || "";
+  if ($("#pubLanguage")) $("#pubLanguage").value = pub.language || "";
+  if ($("#pubRights")) $("#pubRights").value = pub.rights || "";
+  if ($("#pubContributors")) $("#pubContributors").value = (pub.contributors || []).map(c => `${c.name}, ${roleNames[c.role] || "contributor"}`).join("\n");
+  if ($("#pubA11ySummary")) $("#pubA11ySummary").value = pub.accessibilitySummary || "";
+  if ($("#pubA11yHazards")) $("#pubA11yHazards").value = pub.accessibilityHazards || "";
+}
+
+// Back-of-book index (project options.index); extra terms are "Term | see also, see also" lines
+function getIndexOptions() {
+  const terms = ($("#indexTerms")?.value || "").split("\n").map(line => {
+    const [term, seeAlso = ""] = line.split("|");
+    return { term: term.trim(), seeAlso: parseKeywordsCSV(seeAlso) };
+  }).filter(t => t.term);
+  return { enabled: !!$("#optIndex")?.checked, terms };
+}
+
+function setIndexOptions(index = {}) {
+  if ($("#optIndex")) $("#optIndex").checked = !!index.enabled;
+  if ($("#indexTerms")) $("#indexTerms").value = (index.terms || []).map(t => t.seeAlso?.length ? `${t.term} | ${t.seeAlso.join(", ")}` : t.term).join("\n");
+}
+
+// Print-on-demand layout for PDF exports (trim size, mirrored margins, bleed, crop marks)
+function getPrintOptions() {
+  return {
+    profile: $("#optPrintProfile")?.value || "",
+    mirrorMargins: !!$("#optMirrorMargins")?.checked,
+    bleed: !!$("#optBleed")?.checked,
+    cropMarks: !!$("#optCropMarks")?.checked
   };
 }
 
@@ -37,6 +134,8 @@ async function refreshMe() {
   // Toggle admin button
   const addUserBtn = $("#addUserBtn");
   if (addUserBtn) addUserBtn.classList.toggle("hidden", !(currentUser?.is_admin));
+  // LaTeX templates can read server files, so only admins upload them
+  $("#customLatexField")?.classList.toggle("hidden", !(currentUser?.is_admin));
   
   // Toggle logout button
   const logoutBtn = $("#logoutBtn");
@@ -355,6 +454,23 @@ async function openProject(id){
     if (projectKeywords) projectKeywords.value = getKeywordsFromOptions(p.options).join(", ");
     if (optToc)          optToc.checked = (p.options?.includeToc !== false);
     if (optPageNumbers)  optPageNumbers.checked = (p.options?.showPageNumbers !== false);
+    renderReferenceDocx();
+    const print = p.options?.print || {};
+    if ($("#optPrintProfile"))  $("#optPrintProfile").value = print.profile || "";
+    if ($("#optMirrorMargins")) $("#optMirrorMargins").checked = !!print.mirrorMargins;
+    if ($("#optBleed"))         $("#optBleed").checked = !!print.bleed;
+    if ($("#optCropMarks"))     $("#optCropMarks").checked = !!print.cropMarks;
+    if ($("#optTheme"))         $("#optTheme").value = p.options?.theme || "classic";
+    if ($("#optThemeAccentOn")) $("#optThemeAccentOn").checked = !!p.options?.themeAccent;
+    if ($("#optThemeAccent") && p.options?.themeAccent) $("#optThemeAccent").value = p.options.themeAccent;
+    setRunningHeadsOptions(p.options?.runningHeads);
+    if ($("#optCitationStyle")) $("#optCitationStyle").value = p.options?.citationStyle || "chicago";
+    if ($("#optCommercial")) $("#optCommercial").checked = !!p.options?.commercialDistribution;
+    setPublicationOptions(p.options?.publication);
+    setIndexOptions(p.options?.index);
+    $("#complianceReport")?.classList.add("hidden");
+    $("#preflightReport")?.classList.add("hidden");
+    renderCustomThemeFiles();
 
     projectsSection?.classList.add("hidden");
     editorSection?.classList.remove("hidden");
@@ -398,6 +514,8 @@ async function openProject(id){
       }
     }
     
+    await loadExportHistory(id);
+
     // Load comments
     await loadComments(id);
     // ---------------------------------------------------------------------------
@@ -655,19 +773,30 @@ function bindGlobalUI(){
     if (!currentProject) return;
 
     const keywordsCsv = parseKeywordsCSV(projectKeywords?.value);
+    const options = {
+      ...(currentProject.options || {}),
+      includeToc: !!optToc?.checked,
+      showPageNumbers: !!optPageNumbers?.checked,
+      print: getPrintOptions(),
+      runningHeads: getRunningHeadsOptions(),
+      citationStyle: $("#optCitationStyle")?.value || "chicago",
+      commercialDistribution: !!$("#optCommercial")?.checked,
+      publication: getPublicationOptions(),
+      index: getIndexOptions(),
+      ...getThemeOptions(),
+      keywords: keywordsCsv
+    };
 
-    await fetchJSON(`/api/projects/${currentProject.id}`, {
-      method:"PUT",
-      headers:{"Content-Type":"application/json"},
-      body: JSON.stringify({
-        name: projectName?.value?.trim() || "Untitled Project",
-        options: {
-          includeToc: !!optToc?.checked,
-          showPageNumbers: !!optPageNumbers?.checked,
-          keywords: keywordsCsv
-        }
-      })
-    });
+    try {
+      await fetchJSON(`/api/projects/${currentProject.id}`, {
+        method:"PUT",
+        headers:{"Content-Type":"application/json"},
+        body: JSON.stringify({ name: projectName?.value?.trim() || "Untitled Project", options })
+      });
+    } catch (err) {
+      return alert("Save failed: " + err.message);
+    }
+    currentProject.options = options;
 
     alert("Project saved successfully!");
   });
@@ -712,7 +841,33 @@ function bindGlobalUI(){
         return;
       }
 
-      // 2) Title Page
+      // 2) Text and glossary items are written in the contents table
+      if (kind === "text") {
+        await fetchJSON(`/api/projects/${currentProject.id}/items`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ type: "text", title, body: "" })
+        });
+        addContentForm.reset();
+        kindSelect.value = "url";
+        bindKindUI();
+        await refreshProjectState();
+        return;
+      }
+      if (kind === "glossary") {
+        await fetchJSON(`/api/projects/${currentProject.id}/items`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ type: "glossary", title, options: { entries: [] } })
+        });
+        addContentForm.reset();
+        kindSelect.value = "url";
+        bindKindUI();
+        await refreshProjectState();
+        return;
+      }
+
+      // 3) Title Page
       if (kind === "titlepage") {
         await fetchJSON(`/api/projects/${currentProject.id}/items`, {
           method: "POST",
@@ -726,7 +881,7 @@ function bindGlobalUI(){
         return;
       }
 
-      // 3) Otherwise, process by kind
+      // 4) Otherwise, process by kind
       if (kind === "image") {
         // Prefer file if provided; else expect a URL
         if (file && file.size > 0) {
@@ -802,20 +957,128 @@ function bindGlobalUI(){
   exportPdfBtn?.addEventListener("click", () => {
     const id = editorEl?.dataset?.projectId || currentProject?.id;
     if (!id) return alert("No active project selected.");
-    window.startExport(id, "pdf", getExportOptions());
+    exportAfterChecks(id, "pdf");
   });
 
   exportEpubBtn?.addEventListener("click", () => {
     const id = editorEl?.dataset?.projectId || currentProject?.id;
     if (!id) return alert("No active project selected.");
-    window.startExport(id, "epub", getExportOptions());
+    exportAfterChecks(id, "epub");
+  });
+
+  $("#btnCompliance")?.addEventListener("click", async () => {
+    if (!currentProject) return alert("No active project selected.");
+    try {
+      renderComplianceReport(await fetchJSON(`/api/projects/${currentProject.id}/compliance`));
+    } catch (err) {
+      alert("Copyright check failed: " + err.message);
+    }
+  });
+
+  $("#btnPreflight")?.addEventListener("click", async (e) => {
+    if (!currentProject) return alert("No active project selected.");
+    const btn = e.currentTarget;
+    btn.disabled = true;
+    try {
+      renderPreflightReport(await fetchJSON(`/api/projects/${currentProject.id}/preflight`, {
+        method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ format: "pdf" })
+      }));
+    } catch (err) {
+      alert("Preflight check failed: " + err.message);
+    } finally {
+      btn.disabled = false;
+    }
   });
 
   const exportMarkdownBtn = $("#btnExportMarkdown");
   exportMarkdownBtn?.addEventListener("click", () => {
     const id = editorEl?.dataset?.projectId || currentProject?.id;
     if (!id) return alert("No active project selected.");
-    window.startExport(id, "markdown", getExportOptions());
+    exportAfterChecks(id, "markdown");
+  });
+
+  const exportDocxBtn = $("#btnExportDocx");
+  exportDocxBtn?.addEventListener("click", () => {
+    const id = editorEl?.dataset?.projectId || currentProject?.id;
+    if (!id) return alert("No active project selected.");
+    exportAfterChecks(id, "docx");
+  });
+
+  // Word style template (reference.docx) for DOCX export
+  $("#referenceDocxInput")?.addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    if (!file || !currentProject) return;
+    const up = new FormData();
+    up.append("file", file);
+    try {
+      const res = await fetch(`/api/projects/${currentProject.id}/reference-docx`, { method: "POST", body: up });
+      if (!res.ok) throw new Error(await res.text());
+      const j = await res.json();
+      currentProject.options = { ...(currentProject.options || {}), referenceDocx: j.filename, referenceDocxName: j.name };
+      renderReferenceDocx();
+    } catch (err) {
+      alert("Template upload failed: " + err.message);
+    }
+    e.target.value = "";
+  });
+
+  $("#referenceDocxRemove")?.addEventListener("click", async () => {
+    if (!currentProject) return;
+    try {
+      await fetchJSON(`/api/projects/${currentProject.id}/reference-docx`, { method: "DELETE" });
+      const { referenceDocx, referenceDocxName, ...rest } = currentProject.options || {};
+      currentProject.options = rest;
+      renderReferenceDocx();
+    } catch (err) {
+      alert("Failed to remove template: " + err.message);
+    }
+  });
+
+  // Custom theme files: kind "css" (EPUB stylesheet) or "latex" (PDF template/preamble)
+  for (const [kind, option] of [["css", "customCss"], ["latex", "customLatex"]]) {
+    const Kind = kind === "css" ? "Css" : "Latex";
+    $(`#custom${Kind}Input`)?.addEventListener("change", async (e) => {
+      const file = e.target.files?.[0];
+      if (!file || !currentProject) return;
+      const up = new FormData();
+      up.append("file", file);
+      try {
+        const res = await fetch(`/api/projects/${currentProject.id}/custom-theme/${kind}`, { method: "POST", body: up });
+        if (!res.ok) throw new Error(await res.text());
+        const j = await res.json();
+        currentProject.options = { ...(currentProject.options || {}), [option]: j.filename, [`${option}Name`]: j.name };
+        renderCustomThemeFiles();
+      } catch (err) {
+        alert("Upload failed: " + err.message);
+      }
+      e.target.value = "";
+    });
+
+    $(`#custom${Kind}Remove`)?.addEventListener("click", async () => {
+      if (!currentProject) return;
+      try {
+        await fetchJSON(`/api/projects/${currentProject.id}/custom-theme/${kind}`, { method: "DELETE" });
+        const { [option]: _file, [`${option}Name`]: _name, ...rest } = currentProject.options || {};
+        currentProject.options = rest;
+        renderCustomThemeFiles();
+      } catch (err) {
+        alert("Failed to remove file: " + err.message);
+      }
+    });
+  }
+
+  const exportHtmlBtn = $("#btnExportHtml");
+  exportHtmlBtn?.addEventListener("click", () => {
+    const id = editorEl?.dataset?.projectId || currentProject?.id;
+    if (!id) return alert("No active project selected.");
+    exportAfterChecks(id, "html");
+  });
+
+  const exportImsccBtn = $("#btnExportImscc");
+  exportImsccBtn?.addEventListener("click", () => {
+    const id = editorEl?.dataset?.projectId || currentProject?.id;
+    if (!id) return alert("No active project selected.");
+    exportAfterChecks(id, "imscc");
   });
 }
 
@@ -827,10 +1090,10 @@ function bindKindUI() {
   const cacheRow = $("#cacheRow");
   const apply = () => {
     const k = (kindSelect.value || "url").toLowerCase();
-    // Hide URL row for: file, heading, titlepage
-    if (urlRow) urlRow.classList.toggle("hidden", k === "file" || k === "heading" || k === "titlepage");
-    // Hide file row for: heading, titlepage
-    if (fileRow) fileRow.classList.toggle("hidden", k === "heading" || k === "titlepage");
+    // Hide URL row for: file, heading, titlepage, text, glossary
+    if (urlRow) urlRow.classList.toggle("hidden", ["file", "heading", "titlepage", "text", "glossary"].includes(k));
+    // Hide file row for: heading, titlepage, text, glossary
+    if (fileRow) fileRow.classList.toggle("hidden", ["heading", "titlepage", "text", "glossary"].includes(k));
     // Show subtitle only for titlepage
     if (subtitleRow) subtitleRow.classList.toggle("hidden", k !== "titlepage");
     // Show cache checkbox only for URL type (not Wikipedia)
@@ -844,6 +1107,22 @@ function bindKindUI() {
   apply();
 }
 
+function renderReferenceDocx() {
+  const name = currentProject?.options?.referenceDocx ? (currentProject.options.referenceDocxName || "reference.docx") : "";
+  const label = $("#referenceDocxName");
+  if (label) label.textContent = name ? `Using: ${name}` : "Pandoc default styles";
+  $("#referenceDocxRemove")?.classList.toggle("hidden", !name);
+}
+
+function renderCustomThemeFiles() {
+  for (const [Kind, option] of [["Css", "customCss"], ["Latex", "customLatex"]]) {
+    const name = currentProject?.options?.[option] ? (currentProject.options[`${option}Name`] || "uploaded file") : "";
+    const label = $(`#custom${Kind}Name`);
+    if (label) label.textContent = name ? `Using: ${name}` : "";
+    $(`#custom${Kind}Remove`)?.classList.toggle("hidden", !name);
+  }
+}
+
 // ===================== project state refresh =====================
 async function refreshProjectState(){
   if(!currentProject) return;
@@ -876,7 +1155,7 @@ async function doExport(format){
 
 // ===================== items rendering =====================
 function iconForType(t){
-  const map = { heading:"HEADING", url:"URL", wikipedia:"WIKI", docx:"DOCX", pdf:"PDF", image:"IMAGE", titlepage:"TITLE" };
+  const map = { heading:"HEADING", url:"URL", wikipedia:"WIKI", docx:"DOCX", pdf:"PDF", image:"IMAGE", titlepage:"TITLE", text:"TEXT", glossary:"GLOSSARY" };
   return badge(map[t] || t?.toUpperCase?.() || "");
 }
 
@@ -909,6 +1188,305 @@ async function saveItemPartial(it, patch){
   });
 }
 
+// Item license (options.license): type, fair use justification, permission document
+const LICENSE_OPTIONS = [
+  ["", "— not recorded —"],
+  ["cc-by", "CC BY"],
+  ["cc-by-sa", "CC BY-SA"],
+  ["cc-by-nd", "CC BY-ND"],
+  ["cc-by-nc", "CC BY-NC"],
+  ["cc-by-nc-sa", "CC BY-NC-SA"],
+  ["cc-by-nc-nd", "CC BY-NC-ND"],
+  ["cc0", "CC0"],
+  ["public-domain", "Public domain"],
+  ["fair-use", "Fair use"],
+  ["permission", "Permission obtained"]
+];
+
+function licenseControl(it){
+  const license = it.options?.license || {};
+  const details = el("details",{className:"text-xs text-gray-600"});
+  const label = LICENSE_OPTIONS.find(([v]) => v === (license.type || ""))?.[1];
+  details.append(el("summary",{className:`cursor-pointer ${license.type ? "" : "text-red-700"}`},
+    license.type ? `License: ${label}${license.detected ? " (detected)" : ""}` : "License: not recorded"));
+  const save = async (next) => {
+    await saveItemPartial(it,{options:{license:next}});
+    await refreshProjectState();
+  };
+  const select = el("select",{className:"border rounded px-1 py-0.5 bg-white text-black text-xs"});
+  for (const [value, text] of LICENSE_OPTIONS) select.append(el("option",{value,textContent:text}));
+  select.value = license.type || "";
+  select.addEventListener("change", () => save(select.value ? { ...license, type: select.value, url: "" } : null).catch(err => alert("Failed to save license: " + err.message)));
+  details.append(select);
+  if (license.type === "fair-use") {
+    details.append(el("div",{},"Justification:"),
+      makeEditableText(license.justification||"","purpose, amount used, market effect…",(v)=>saveItemPartial(it,{options:{license:{...license, justification:v||""}}})));
+  }
+  if (license.type === "permission") {
+    const url = `/api/projects/${currentProject.id}/items/${it.id}/permission-document`;
+    const input = el("input",{type:"file",accept:".pdf,.png,.jpg,.jpeg,.gif,.doc,.docx,.odt,.rtf,.txt,.eml",className:"hidden"});
+    const pick = el("button",{type:"button",className:"px-2 py-0.5 rounded border border-gray-300 hover:bg-gray-100"}, license.permissionDoc ? "Replace" : "Upload");
+    pick.addEventListener("click", () => input.click());
+    input.addEventListener("change", async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+      const up = new FormData();
+      up.append("file", file);
+      try {
+        const res = await fetch(url, { method: "POST", body: up });
+        if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || res.statusText);
+        await refreshProjectState();
+      } catch (err) {
+        alert("Upload failed: " + err.message);
+      }
+    });
+    const doc = license.permissionDoc
+      ? el("a",{href:url,className:"underline break-all",textContent:license.permissionDocName||"permission document"})
+      : el("span",{className:"text-red-700"},"no document on file");
+    details.append(el("div",{},"Permission document:"), el("div",{className:"flex items-center gap-2"}, doc, pick, input));
+  }
+  return details;
+}
+
+// Results of the copyright check, listing only items with findings
+function renderComplianceReport(report){
+  const wrap = $("#complianceReport");
+  const tbody = $("#complianceTbody");
+  if (!wrap || !tbody) return;
+  wrap.classList.remove("hidden");
+  $("#complianceSummary").textContent = report.errors || report.warnings
+    ? `${report.errors} problem(s) and ${report.warnings} warning(s) across ${report.items.length} item(s).`
+    : `All ${report.items.length} item(s) have a license recorded and no conflicts were found.`;
+  tbody.innerHTML = "";
+  for (const row of report.items.filter(r => r.issues.length)) {
+    const findings = el("ul",{className:"list-disc ml-4"});
+    for (const issue of row.issues) {
+      findings.append(el("li",{className: issue.level === "error" ? "text-red-700" : "text-amber-700"}, issue.message));
+    }
+    tbody.append(el("tr",{className:"border-t align-top"},
+      el("td",{className:"p-1"}, row.title || "(Untitled)"),
+      el("td",{className:"p-1"}, row.label),
+      el("td",{className:"p-1"}, findings)));
+  }
+}
+
+// Results of the preflight check: missing tools, then items with findings, with the page estimate
+function renderPreflightReport(report){
+  const wrap = $("#preflightReport");
+  const tbody = $("#preflightTbody");
+  if (!wrap || !tbody) return;
+  wrap.classList.remove("hidden");
+  const pages = report.estimatedPages ? ` Estimated length: about ${report.estimatedPages} page(s).` : "";
+  $("#preflightSummary").textContent = (report.errors || report.warnings
+    ? `${report.errors} problem(s) and ${report.warnings} warning(s) across ${report.items.length} item(s).`
+    : `All ${report.items.length} item(s) are reachable and the tools are installed.`) + pages;
+  const problems = $("#preflightProblems");
+  problems.innerHTML = "";
+  for (const p of report.problems) {
+    problems.append(el("li",{className: p.level === "error" ? "text-red-700" : "text-amber-700"}, p.message));
+  }
+  tbody.innerHTML = "";
+  for (const row of report.items.filter(r => r.messages.length)) {
+    const findings = el("ul",{className:"list-disc ml-4"});
+    for (const m of row.messages) {
+      const color = m.level === "error" ? "text-red-700" : m.level === "warning" ? "text-amber-700" : "text-gray-600";
+      findings.append(el("li",{className: color}, m.message));
+    }
+    tbody.append(el("tr",{className:"border-t align-top"},
+      el("td",{className:"p-1"}, row.title || "(Untitled)"),
+      el("td",{className:"p-1"}, String(row.pages || "–")),
+      el("td",{className:"p-1"}, findings)));
+  }
+}
+
+// Exports start right away when the preflight and copyright checks are clean; otherwise the findings are shown first
+async function exportAfterChecks(projectId, format){
+  const [preflight, compliance] = await Promise.all([
+    fetchJSON(`/api/projects/${projectId}/preflight`, {
+      method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ format })
+    }).catch(err => { console.warn("Preflight check failed:", err); return null; }),
+    fetchJSON(`/api/projects/${projectId}/compliance?format=${format}`)
+      .catch(err => { console.warn("Copyright check failed:", err); return null; })
+  ]);
+  const findings = [];
+  if (preflight && (preflight.errors || preflight.warnings)) {
+    renderPreflightReport(preflight);
+    findings.push(`Preflight found ${preflight.errors} problem(s) and ${preflight.warnings} warning(s).`);
+  }
+  if (compliance && (compliance.errors || compliance.warnings)) {
+    renderComplianceReport(compliance);
+    findings.push(`Copyright check found ${compliance.errors} problem(s) and ${compliance.warnings} warning(s).`);
+  }
+  if (findings.length) {
+    if (preflight?.estimatedPages) findings.push(`Estimated length: about ${preflight.estimatedPages} page(s).`);
+    const ok = confirm(`${findings.join("\n")}\n\nSee the reports below the export buttons. Export anyway?`);
+    if (!ok) return;
+  }
+  window.startExport(projectId, format, getExportOptions());
+}
+
+// Collapsible citation fields (item options.bib) used for the attribution page; web items can auto-fill them
+function citationControl(it){
+  const bib = { ...(it.options?.bib || {}) };
+  const details = el("details",{className:"text-xs text-gray-600"});
+  const filled = (bib.authors||[]).length || bib.publisher || bib.issued || bib.doi;
+  details.append(el("summary",{className:"cursor-pointer"}, filled ? "Citation ✓" : "Citation"));
+  const save = async (patch) => {
+    Object.assign(bib, patch);
+    await saveItemPartial(it,{options:{bib}});
+    it.options = { ...(it.options || {}), bib };
+  };
+  const fields = [
+    ["Authors (separate with ;)", (bib.authors||[]).join("; "), "Doe, Jane; Roe, John", (v)=>save({authors:(v||"").split(";").map(a=>a.trim()).filter(Boolean)})],
+    ["Publisher / site", bib.publisher||"", "publisher or website", (v)=>save({publisher:v||""})],
+    ["Date", bib.issued||"", "YYYY-MM-DD", (v)=>save({issued:v||""})],
+    ["DOI", bib.doi||"", "10.xxxx/...", (v)=>save({doi:v||""})]
+  ];
+  for (const [label, value, placeholder, onSave] of fields) {
+    details.append(el("div",{},label+":"), makeEditableText(value, placeholder, onSave));
+  }
+  if (it.source_url) {
+    const auto = el("button",{type:"button",className:"mt-1 px-2 py-0.5 rounded border border-gray-300 hover:bg-gray-100"},"Auto-fill from source");
+    auto.addEventListener("click", async () => {
+      auto.disabled = true;
+      auto.textContent = "Looking up…";
+      try {
+        await fetchJSON(`/api/projects/${currentProject.id}/items/${it.id}/bib/autofill`, { method: "POST" });
+        await refreshProjectState();
+      } catch (err) {
+        alert("Auto-fill failed: " + err.message);
+        auto.disabled = false;
+        auto.textContent = "Auto-fill from source";
+      }
+    });
+    details.append(auto);
+  }
+  return details;
+}
+
+// Markdown editor for a text item (items.body_md) with a server-rendered preview.
+// The preview sits in a sandboxed frame, so raw HTML in the text can't run in the app.
+function textEditorControl(it){
+  const details = el("details",{className:"text-xs text-gray-600"});
+  const summary = el("summary",{className:"cursor-pointer"});
+  const words = (s) => (String(s||"").match(/\S+/g) || []).length;
+  const setSummary = () => { summary.textContent = `Text (${words(it.body_md)} words)`; };
+  const input = el("textarea",{className:"border rounded px-2 py-1 w-full bg-white text-black font-mono text-xs",rows:14,value:it.body_md||"",placeholder:"Write in Markdown…"});
+  const hint = el("div",{className:"text-gray-500"},
+    "Markdown: **bold**, *italic*, [link](https://…), footnotes with [^1] and a \"[^1]: note\" line, callouts with \"> [!NOTE]\" (or TIP, IMPORTANT, WARNING, CAUTION) followed by \"> \" lines.");
+  const frame = el("iframe",{className:"w-full border rounded bg-white hidden",style:"height:20rem"});
+  frame.setAttribute("sandbox", "");
+  const previewBtn = el("button",{type:"button",className:"px-2 py-0.5 rounded border border-gray-300 hover:bg-gray-100"},"Preview");
+  previewBtn.addEventListener("click", async () => {
+    try {
+      const { html, css } = await fetchJSON(`/api/projects/${currentProject.id}/text-preview`, {
+        method:"POST",
+        headers:{"Content-Type":"application/json"},
+        body: JSON.stringify({ title: it.title, body: input.value })
+      });
+      frame.srcdoc = `<!doctype html><meta charset="utf-8"><style>body{font-family:Georgia,serif;font-size:15px;line-height:1.5;margin:1rem}${css}</style>${html}`;
+      frame.classList.remove("hidden");
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+  const saveBtn = el("button",{type:"button",className:"px-2 py-0.5 rounded bg-red-600 hover:bg-red-700 text-white"},"Save text");
+  saveBtn.addEventListener("click", async () => {
+    try {
+      await saveItemPartial(it,{body:input.value});
+      it.body_md = input.value;
+      setSummary();
+    } catch (err) {
+      alert("Saving the text failed: " + err.message);
+    }
+  });
+  setSummary();
+  details.append(summary, input, hint, el("div",{className:"flex gap-2 my-1"}, previewBtn, saveBtn), frame);
+  return details;
+}
+
+// Term/definition pairs of a glossary item (options.entries), saved together
+function glossaryControl(it){
+  const entries = (it.options?.entries || []).map(e => ({ ...e }));
+  const details = el("details",{className:"text-xs text-gray-600"});
+  const summary = el("summary",{className:"cursor-pointer"});
+  const list = el("div",{className:"space-y-2 mt-1"});
+  const setSummary = () => { summary.textContent = `Terms (${entries.length})`; };
+  const row = (entry) => {
+    const term = el("input",{className:"border rounded px-2 py-0.5 w-full bg-white text-black",value:entry.term||"",placeholder:"Term"});
+    const definition = el("textarea",{className:"border rounded px-2 py-0.5 w-full bg-white text-black",rows:2,value:entry.definition||"",placeholder:"Definition (Markdown)"});
+    const remove = el("button",{type:"button",className:"px-2 py-0.5 rounded border border-gray-300 hover:bg-gray-100"},"Remove");
+    term.addEventListener("input", () => { entry.term = term.value; });
+    definition.addEventListener("input", () => { entry.definition = definition.value; });
+    remove.addEventListener("click", () => {
+      entries.splice(entries.indexOf(entry), 1);
+      wrap.remove();
+      setSummary();
+    });
+    const wrap = el("div",{className:"space-y-1"}, term, definition, remove);
+    return wrap;
+  };
+  const add = el("button",{type:"button",className:"px-2 py-0.5 rounded border border-gray-300 hover:bg-gray-100"},"Add term");
+  add.addEventListener("click", () => {
+    const entry = { term: "", definition: "" };
+    entries.push(entry);
+    list.append(row(entry));
+    setSummary();
+  });
+  const save = el("button",{type:"button",className:"px-2 py-0.5 rounded bg-red-600 hover:bg-red-700 text-white"},"Save terms");
+  save.addEventListener("click", async () => {
+    const incomplete = entries.filter(e => !(e.term||"").trim() || !(e.definition||"").trim()).length;
+    if (incomplete && !confirm(`${incomplete} term(s) without a term or definition will be dropped. Save anyway?`)) return;
+    try {
+      await saveItemPartial(it,{options:{entries}});
+      await refreshProjectState();
+    } catch (err) {
+      alert("Saving the glossary failed: " + err.message);
+    }
+  });
+  entries.forEach(e => list.append(row(e)));
+  setSummary();
+  details.append(summary, list, el("div",{className:"flex gap-2 mt-1"}, add, save));
+  return details;
+}
+
+// Upload/remove the cover image of a title page item (PNG or JPEG, used for the PDF cover and the EPUB cover)
+function coverImageControl(it){
+  const wrap = el("div",{className:"text-xs text-gray-600 space-y-1"});
+  const url = `/api/projects/${currentProject.id}/items/${it.id}/cover-image`;
+  const input = el("input",{type:"file",accept:"image/png,image/jpeg",className:"hidden"});
+  const pick = el("button",{type:"button",className:"px-2 py-0.5 rounded border border-gray-300 hover:bg-gray-100"}, it.local_path ? "Replace" : "Upload");
+  pick.addEventListener("click", () => input.click());
+  input.addEventListener("change", async () => {
+    const file = input.files?.[0];
+    if (!file) return;
+    const up = new FormData();
+    up.append("file", file);
+    try {
+      const res = await fetch(url, { method: "POST", body: up });
+      if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || res.statusText);
+      await refreshProjectState();
+    } catch (err) {
+      alert("Cover upload failed: " + err.message);
+    }
+  });
+  wrap.append(el("div",{},"Cover image:"), el("div",{className:"flex items-center gap-2"},
+    el("span",{className:"break-all"}, it.local_path ? (it.options?.coverImageName || "uploaded image") : "none"), pick, input));
+  if (it.local_path) {
+    const remove = el("button",{type:"button",className:"px-2 py-0.5 rounded border border-gray-300 hover:bg-gray-100"},"Remove");
+    remove.addEventListener("click", async () => {
+      try {
+        await fetchJSON(url, { method: "DELETE" });
+        await refreshProjectState();
+      } catch (err) {
+        alert("Failed to remove cover image: " + err.message);
+      }
+    });
+    wrap.lastChild.append(remove);
+  }
+  return wrap;
+}
+
 async function renderItems(){
   if (!itemsTbody) return;
   itemsTbody.innerHTML = "";
@@ -959,14 +1537,40 @@ async function renderItems(){
       refTd.append(
         makeEditableText(it.source_url||"","https://...", (v)=>saveItemPartial(it,{source_url:(v||"").trim()||null}))
       );
-    } else if (it.local_path) {
+    } else if (it.local_path && it.type !== "titlepage") {
       refTd.append(el("div",{className:"text-xs text-gray-500 break-all"}, it.local_path));
     }
     if (it.type === "titlepage") {
       const opts = it.options || {};
       const subLbl = el("div",{className:"text-xs text-gray-600"},"Subtitle:");
       const subEdit = makeEditableText(opts.subtitle||"","optional subtitle",(v)=>saveItemPartial(it,{options:{subtitle:v||""}}));
-      refTd.append(subLbl,subEdit);
+      const courseLbl = el("div",{className:"text-xs text-gray-600"},"Course code:");
+      const courseEdit = makeEditableText(opts.courseCode||"","e.g. HIST 201",(v)=>saveItemPartial(it,{options:{courseCode:(v||"").trim()}}));
+      const dateLbl = el("div",{className:"text-xs text-gray-600"},"Date:");
+      const dateEdit = makeEditableText(opts.date||"","export date (e.g. Fall 2026)",(v)=>saveItemPartial(it,{options:{date:(v||"").trim()}}));
+      refTd.append(subLbl,subEdit,courseLbl,courseEdit,dateLbl,dateEdit,coverImageControl(it));
+    }
+    if (it.type === "glossary") refTd.append(glossaryControl(it));
+    if (it.type === "text") refTd.append(textEditorControl(it));
+    if (it.type === "pdf") {
+      const opts = it.options || {};
+      const pagesLbl = el("div",{className:"text-xs text-gray-600"},"Pages:");
+      const pagesEdit = makeEditableText(opts.pages||"","all (e.g. 3-17, 22)",async (v)=>{
+        try {
+          await saveItemPartial(it,{options:{pages:(v||"").trim()}});
+        } catch (err) {
+          alert("Invalid page range: " + err.message);
+          throw err;
+        }
+      });
+      refTd.append(pagesLbl,pagesEdit);
+    }
+    if (["url", "wikipedia", "image", "pdf", "docx"].includes(it.type)) refTd.append(citationControl(it), licenseControl(it));
+    if (["url", "wikipedia", "image", "pdf", "docx", "text"].includes(it.type)) {
+      const opts = it.options || {};
+      const termsLbl = el("div",{className:"text-xs text-gray-600"},"Index terms:");
+      const termsEdit = makeEditableText((opts.indexTerms||[]).join(", "),"none (comma-separated)",(v)=>saveItemPartial(it,{options:{indexTerms:parseKeywordsCSV(v)}}));
+      refTd.append(termsLbl, termsEdit);
     }
     if (it.type === "image") {
       const opts = it.options || {};
@@ -1081,6 +1685,60 @@ function ensureSortable(){
   $$("#itemsTbody tr").forEach(tr => { if (!tr.id) tr.id = tr.dataset.id || ""; });
 }
 
+// ===================== Export history =====================
+function formatBytes(n) {
+  if (n == null) return "—";
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(0)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+async function loadExportHistory(projectId) {
+  const tbody = $("#exportHistoryTbody");
+  if (!tbody) return;
+  const rows = await fetchJSON(`/api/projects/${projectId}/exports`).catch(()=>[]);
+  tbody.innerHTML = "";
+  if (!rows.length) {
+    tbody.append(el("tr",{}, el("td",{colSpan:6,className:"p-2 text-gray-500"},"No exports yet.")));
+    return;
+  }
+  for (const r of rows) {
+    const action = el("span",{className:"space-x-2"});
+    if (!r.available) {
+      action.append(el("span",{className:"text-gray-400",title:"Removed by the retention policy"},"Expired"));
+    } else {
+      if (r.downloadUrl) action.append(el("a",{className:"text-red-700 underline",href:r.downloadUrl},"Download"));
+      if (currentUser && (currentUser.username === r.username || currentUser.is_admin)) {
+        const shareBtn = el("button",{className:"text-red-700 underline",title:"Create a public link anyone can download from"},"Share link");
+        shareBtn.addEventListener("click", async ()=>{
+          try {
+            const { url, expiresAt } = await fetchJSON(`/api/exports/${r.id}/share`, { method:"POST" });
+            prompt(`Public download link (expires ${new Date(expiresAt).toLocaleDateString()}):`, location.origin + url);
+          } catch (err) {
+            alert("Failed to create share link: " + err.message);
+          }
+        });
+        action.append(shareBtn);
+      }
+    }
+    const tr = el("tr", { className:"border-t" });
+    tr.append(
+      el("td",{className:"p-2"}, new Date(r.created_at).toLocaleString()),
+      el("td",{className:"p-2 uppercase"}, r.format),
+      el("td",{className:"p-2"}, r.version_text || "—"),
+      el("td",{className:"p-2"}, r.username || "—"),
+      el("td",{className:"p-2"}, formatBytes(r.file_size)),
+      el("td",{className:"p-2 text-right"}, action)
+    );
+    tbody.append(tr);
+  }
+}
+
+// progress.js announces finished exports so the history table stays current
+window.addEventListener("export:done", () => {
+  if (currentProject?.id) loadExportHistory(currentProject.id);
+});
+
 // ===================== Comments System =====================
 async function loadComments(projectId) {
   const commentsSection = $("#commentsSection");
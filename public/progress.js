@@ -7,8 +7,12 @@
   const $actions = document.getElementById('export-actions');
   const $dl      = document.getElementById('export-download');
   const $close   = document.getElementById('export-close');
+  const $retryWrap = document.getElementById('export-retry-wrap');
+  const $retry   = document.getElementById('export-retry');
+  const $cancel  = document.getElementById('export-cancel');
 
   let es = null; // EventSource
+  let currentJobId = null;
 
   function showModal()   { $modal.classList.remove('hidden'); $modal.classList.add('flex'); }
   function hideModal()   { $modal.classList.remove('flex');   $modal.classList.add('hidden'); }
@@ -24,6 +28,9 @@
     setError('');
     setPct(0, 100);
     $actions.classList.add('hidden');
+    $retryWrap?.classList.add('hidden');
+    $cancel?.classList.remove('hidden');
+    if ($cancel) $cancel.disabled = false;
     $dl.removeAttribute('href');
     $dl.removeAttribute('download');
   }
@@ -37,7 +44,12 @@
     const body = {
       format,
       showPageNumbers: options.showPageNumbers !== false,
-      includeToc: options.includeToc !== false
+      includeToc: options.includeToc !== false,
+      ...(options.rebuild ? { rebuild: true } : {}),
+      ...(options.print ? { print: options.print } : {}),
+      ...(options.runningHeads ? { runningHeads: options.runningHeads } : {}),
+      ...(options.citationStyle ? { citationStyle: options.citationStyle } : {}),
+      ...(options.theme ? { theme: options.theme, themeAccent: options.themeAccent } : {})
     };
 
     resetUI();
@@ -58,7 +70,12 @@
       return;
     }
 
-    // Subscribe to progress SSE
+    watchJob(jobId);
+  }
+
+  // Subscribe to progress SSE for a queued/running job
+  function watchJob(jobId) {
+    currentJobId = jobId;
     if (es) { try { es.close(); } catch {} }
     es = new EventSource(`/api/progress/${encodeURIComponent(jobId)}`);
 
@@ -66,23 +83,33 @@
       let data;
       try { data = JSON.parse(ev.data); } catch { return; }
 
-      const { step = 0, total = 1, message = '', done = false, error = '', output } = data;
+      const { step = 0, total = 1, message = '', done = false, error = '', downloadUrl, filename } = data;
       setMessage(message);
       setPct(step, total);
 
       if (error) {
         setError(error);
+        // Failed jobs (including ones cut off by a server restart) can be queued again
+        if (data.retryable) $retryWrap?.classList.remove('hidden');
       }
 
       if (done) {
         es.close();
         es = null;
+        $cancel?.classList.add('hidden');
+
+        if (data.cancelled) {
+          $retryWrap?.classList.remove('hidden');
+          return;
+        }
+
+        if (downloadUrl && !error) {
+          window.dispatchEvent(new CustomEvent('export:done', { detail: { jobId } }));
 
-        if (output && !error) {
-          // Show Download button
-          const href = `/api/download?path=${encodeURIComponent(output)}`;
+          // Show Download button (signed, expiring link scoped to whoever ran the export)
+          const href = downloadUrl;
           $dl.href = href;
-          $dl.download = output.split('/').pop() || 'export';
+          $dl.download = filename || 'export';
           $actions.classList.remove('hidden');
           
           // Check for failed pages and show notification
@@ -112,6 +139,33 @@
     };
   }
 
+  $retry?.addEventListener('click', async () => {
+    if (!currentJobId) return;
+    resetUI();
+    try {
+      const r = await fetch(`/api/export-jobs/${encodeURIComponent(currentJobId)}/retry`, { method: 'POST' });
+      if (!r.ok) throw new Error(await r.text());
+      const { jobId } = await r.json();
+      watchJob(jobId);
+    } catch (e) {
+      setError('Failed to retry export: ' + (e.message || e));
+    }
+  });
+
+  // Stops the job on the server (kills pandoc/tectonic/qpdf); the stream then reports 'cancelled'
+  $cancel?.addEventListener('click', async () => {
+    if (!currentJobId) return;
+    $cancel.disabled = true;
+    setMessage('Cancelling…');
+    try {
+      const r = await fetch(`/api/progress/${encodeURIComponent(currentJobId)}`, { method: 'DELETE' });
+      if (!r.ok) throw new Error(await r.text());
+    } catch (e) {
+      $cancel.disabled = false;
+      setError('Failed to cancel export: ' + (e.message || e));
+    }
+  });
+
   // Optional: close button (won’t cancel the job; just hides the modal)
   $close?.addEventListener('click', () => {
     hideModal();
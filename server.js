@@ -21,6 +21,8 @@ import { fileURLToPath } from "url";
 import multer from "multer";
 import Database from "better-sqlite3";
 import { spawn, spawnSync } from "child_process";
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
 import { nanoid } from "nanoid";
 import { JSDOM } from "jsdom";
 import mime from "mime-types";
@@ -28,6 +30,8 @@ import { Readability } from "@mozilla/readability";
 import session from "express-session";
 import FormData from "form-data";
 import Mailgun from "mailgun.js";
+import { PDFDocument, PDFName, PDFHexString, StandardFonts, rgb } from "pdf-lib";
+import AdmZip from "adm-zip";
 import dotenv from "dotenv";
 
 // Load environment variables
@@ -88,8 +92,9 @@ const DB_PATH     = path.join(DATA_DIR, "db.sqlite");
 const UPLOADS_DIR = path.join(DATA_DIR, "uploads");
 const EXPORTS_DIR = path.join(DATA_DIR, "exports");
 const TMP_DIR     = path.join(DATA_DIR, "tmp");
+const RENDER_CACHE_DIR = path.join(DATA_DIR, "render-cache");
 
-for (const d of [DATA_DIR, UPLOADS_DIR, EXPORTS_DIR, TMP_DIR]) {
+for (const d of [DATA_DIR, UPLOADS_DIR, EXPORTS_DIR, TMP_DIR, RENDER_CACHE_DIR]) {
   if (!fs.existsSync(d)) fs.mkdirSync(d, { recursive: true });
 }
 
@@ -119,6 +124,26 @@ try {
   console.warn('⚠ Failed to cleanup temp directories:', err.message);
 }
 
+// Drop render cache entries no export has used for a while (entries are touched on every reuse)
+try {
+  const maxAge = Number(process.env.RENDER_CACHE_MAX_AGE_DAYS || 30) * 24 * 60 * 60 * 1000;
+  let pruned = 0;
+  for (const entry of fs.readdirSync(RENDER_CACHE_DIR)) {
+    const entryPath = path.join(RENDER_CACHE_DIR, entry);
+    try {
+      if (Date.now() - fs.statSync(entryPath).mtimeMs > maxAge) {
+        fs.rmSync(entryPath, { recursive: true, force: true });
+        pruned++;
+      }
+    } catch (err) {
+      // Skip if can't stat or remove
+    }
+  }
+  if (pruned > 0) console.log(`✓ Pruned ${pruned} unused render cache entries`);
+} catch (err) {
+  console.warn('⚠ Failed to prune render cache:', err.message);
+}
+
 // ---- sqlite ----
 const db = new Database(DB_PATH);
 // Using DELETE mode instead of WAL to reduce I/O pressure in VM environment
@@ -149,6 +174,7 @@ CREATE TABLE IF NOT EXISTS items (
   local_path TEXT,
   options_json TEXT NOT NULL,
   cached_content TEXT,
+  body_md TEXT,
   created_at TEXT NOT NULL,
   updated_at TEXT NOT NULL
 );
@@ -170,6 +196,12 @@ if (!hasColumn) {
   db.exec(`ALTER TABLE items ADD COLUMN cached_content TEXT`);
 }
 
+// Markdown body of "text" items, written in the editor
+if (!db.prepare(`PRAGMA table_info(items)`).all().some(col => col.name === 'body_md')) {
+  console.log('Adding body_md column to items table...');
+  db.exec(`ALTER TABLE items ADD COLUMN body_md TEXT`);
+}
+
 // ---- NEW: users & versioning schema ----
 db.exec(`
 CREATE TABLE IF NOT EXISTS users (
@@ -219,6 +251,52 @@ CREATE TABLE IF NOT EXISTS access_requests (
 );
 `);
 
+// OCR text for scanned uploads, keyed by stored filename: { "<page>": "<text>" }
+db.exec(`
+CREATE TABLE IF NOT EXISTS pdf_ocr_cache (
+  local_path TEXT PRIMARY KEY,
+  pages_json TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+`);
+
+// Export jobs: status is 'queued' | 'running' | 'done' | 'failed' | 'cancelled'
+db.exec(`
+CREATE TABLE IF NOT EXISTS export_jobs (
+  id TEXT PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  format TEXT NOT NULL,
+  options_json TEXT NOT NULL,
+  username TEXT,
+  status TEXT NOT NULL DEFAULT 'queued',
+  output TEXT,
+  error TEXT,
+  failed_pages_json TEXT,
+  created_at TEXT NOT NULL,
+  started_at TEXT,
+  finished_at TEXT
+);
+`);
+
+// Finished export files; deleted_at is set once retention has removed the file
+db.exec(`
+CREATE TABLE IF NOT EXISTS exports (
+  id TEXT PRIMARY KEY,
+  job_id TEXT,
+  project_id TEXT NOT NULL,
+  version_text TEXT,
+  format TEXT NOT NULL,
+  options_json TEXT NOT NULL,
+  username TEXT,
+  file_path TEXT NOT NULL,
+  file_size INTEGER,
+  failed_pages_json TEXT,
+  created_at TEXT NOT NULL,
+  deleted_at TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_exports_project ON exports(project_id, created_at);
+`);
+
 // Seed dev admin 'andrew' (password: P@ssword) if missing
 const haveAndrew = db.prepare(`SELECT 1 FROM users WHERE username='andrew'`).get();
 if (!haveAndrew) {
@@ -259,8 +337,8 @@ const listProjects  = db.prepare(`SELECT id,name,options_json,created_at,updated
 const deleteProject = db.prepare(`DELETE FROM projects WHERE id=?`);
 
 const insertItem = db.prepare(`
-  INSERT INTO items (id,project_id,position,type,title,source_url,local_path,options_json,cached_content,created_at,updated_at)
-  VALUES (@id,@project_id,@position,@type,@title,@source_url,@local_path,@options,@cached_content,@now,@now)
+  INSERT INTO items (id,project_id,position,type,title,source_url,local_path,options_json,cached_content,body_md,created_at,updated_at)
+  VALUES (@id,@project_id,@position,@type,@title,@source_url,@local_path,@options,@cached_content,@body_md,@now,@now)
 `);
 const getItems            = db.prepare(`SELECT * FROM items WHERE project_id=? ORDER BY position ASC`);
 const getItemById         = db.prepare(`SELECT * FROM items WHERE id=? AND project_id=?`);
@@ -418,14 +496,46 @@ function setProgress(id, patch) {
 
 const PROGRESS = new Map(); // id -> { step, total, message, done, error, output }
 
+// Export job the current async call chain belongs to: { jobId, cancelled, aborted, children, cleanup }.
+// run()/runOk() register their child processes here so a cancelled export can kill them; aborted is
+// set once the job has stopped, so work queued ahead of it (item prefetching) doesn't start anymore.
+const exportJobContext = new AsyncLocalStorage();
+
+function cancelledError() {
+  return Object.assign(new Error("Export cancelled"), { cancelled: true });
+}
+
+// Spawn within the current export job (if any). Children get their own process group so
+// cancelling also stops whatever they spawned themselves (e.g. pandoc -> tectonic).
+function spawnForJob(cmd, args, opts = {}) {
+  const job = exportJobContext.getStore();
+  if (job?.cancelled) throw cancelledError();
+  const child = spawn(cmd, args, { stdio: ["ignore","pipe","pipe"], ...(job ? { detached: true } : {}), ...opts });
+  if (job) {
+    job.children.add(child);
+    child.on("close", () => job.children.delete(child));
+  }
+  return { child, job };
+}
+
+function killChildProcess(child) {
+  try { process.kill(-child.pid, "SIGTERM"); } catch { try { child.kill("SIGTERM"); } catch {} }
+}
+
+// Files and directories an export creates, removed again if the job is cancelled
+function removeOnCancel(p) {
+  exportJobContext.getStore()?.cleanup.push(p);
+}
+
 function run(cmd, args, opts = {}) {
   return new Promise((resolve, reject) => {
-    const child = spawn(cmd, args, { stdio: ["ignore","pipe","pipe"], ...opts });
+    const { child, job } = spawnForJob(cmd, args, opts);
     let out = "", err = "";
     child.stdout.on("data", d => (out += d.toString()));
     child.stderr.on("data", d => (err += d.toString()));
     child.on("close", code => {
-      if (code === 0) resolve({ out, err });
+      if (job?.cancelled) reject(cancelledError());
+      else if (code === 0) resolve({ out, err });
       else reject(new Error(`${cmd} ${args.join(" ")}\n${err}`));
     });
   });
@@ -433,12 +543,13 @@ function run(cmd, args, opts = {}) {
 
 function runOk(cmd, args, okCodes = [0]) {
   return new Promise((resolve, reject) => {
-    const child = spawn(cmd, args, { stdio: ["ignore","pipe","pipe"] });
+    const { child, job } = spawnForJob(cmd, args);
     let out = "", err = "";
     child.stdout.on("data", d => (out += d.toString()));
     child.stderr.on("data", d => (err += d.toString()));
     child.on("close", code => {
-      if (okCodes.includes(code)) resolve({ out, err, code });
+      if (job?.cancelled) reject(cancelledError());
+      else if (okCodes.includes(code)) resolve({ out, err, code });
       else reject(new Error(`${cmd} ${args.join(" ")}\n${err}`));
     });
   });
@@ -458,10 +569,138 @@ function wikipediaTitleFromUrl(url) {
   return { title, lang: u.hostname.split(".")[0] || "en", oldid };
 }
 
+// ---- math ----
+// Equations in fetched pages (MathML with TeX annotations, KaTeX, MathJax sources, Wikipedia's SVG
+// fallbacks) are swapped for plain-text tokens before Readability and the cleanup passes run, since
+// those drop the hidden MathML and keep only fallback images. convertHtmlToMd turns the tokens into
+// $...$ / $$...$$ TeX math, which LaTeX typesets natively and Pandoc writes as MathML in EPUB.
+// Tokens carry their TeX (or MathML, kind "M") hex-encoded so nothing in between can mangle them.
+const MATH_TOKEN_RE = /MYOTMATH([IDM])([0-9a-f]+)X/g;
+
+function mathToken(kind, text) {
+  return `MYOTMATH${kind}${Buffer.from(text, "utf8").toString("hex")}X`;
+}
+
+// Wikipedia wraps its TeX in {\displaystyle ...}
+function cleanTex(tex) {
+  let t = String(tex || "").trim();
+  const m = /^\{\\(?:displaystyle|textstyle)\s*([\s\S]*)\}$/.exec(t);
+  if (m) t = m[1].trim();
+  return t.replace(/\s*\n\s*/g, " ");
+}
+
+function texAnnotation(el) {
+  const a = el?.querySelector('annotation[encoding="application/x-tex"]');
+  return a ? cleanTex(a.textContent) : "";
+}
+
+function normalizeMath(doc) {
+  let count = 0;
+  const swap = (el, kind, text) => {
+    el.replaceWith(doc.createTextNode(mathToken(kind, text)));
+    count++;
+  };
+
+  // KaTeX keeps its source in a MathML annotation next to the rendered HTML
+  doc.querySelectorAll(".katex").forEach(el => {
+    const tex = texAnnotation(el);
+    const display = el.closest(".katex-display");
+    if (tex) swap(display || el, display ? "D" : "I", tex);
+  });
+  // MathJax 2 sources, and whatever MathJax already rendered around them
+  doc.querySelectorAll('script[type^="math/tex"]').forEach(el => {
+    const tex = cleanTex(el.textContent);
+    if (tex) swap(el, /mode=display/.test(el.getAttribute("type")) ? "D" : "I", tex);
+  });
+  doc.querySelectorAll('.MathJax_Preview, .MathJax, .MathJax_Display, .MathJax_SVG, .MathJax_SVG_Display').forEach(el => el.remove());
+  // MathJax 3 output: keep only the assistive MathML
+  doc.querySelectorAll("mjx-container").forEach(el => {
+    const math = el.querySelector("math");
+    if (math) el.replaceWith(math);
+    else el.remove();
+  });
+  // Wikipedia: hidden MathML with a TeX annotation plus an SVG fallback image whose alt text is the TeX
+  doc.querySelectorAll(".mwe-math-element").forEach(el => {
+    const img = el.querySelector("img.mwe-math-fallback-image-inline, img.mwe-math-fallback-image-display");
+    const tex = texAnnotation(el) || cleanTex(img?.getAttribute("alt"));
+    const display = el.querySelector('math[display="block"], .mwe-math-fallback-image-display');
+    if (tex) swap(el, display ? "D" : "I", tex);
+  });
+  doc.querySelectorAll("img.mwe-math-fallback-image-inline, img.mwe-math-fallback-image-display, img.tex").forEach(el => {
+    const tex = cleanTex(el.getAttribute("alt"));
+    if (tex) swap(el, el.classList.contains("mwe-math-fallback-image-display") ? "D" : "I", tex);
+  });
+  // Any other MathML: its TeX annotation if it has one, otherwise Pandoc converts the MathML itself
+  doc.querySelectorAll("math").forEach(el => {
+    const tex = texAnnotation(el);
+    if (tex) swap(el, el.getAttribute("display") === "block" ? "D" : "I", tex);
+    else swap(el, "M", el.outerHTML);
+  });
+  return count;
+}
+
+// MathML -> TeX for the "M" tokens, in one Pandoc run; each formula sits in its own Div so a formula
+// Pandoc can't read only loses itself
+async function mathmlToTex(formulas, workdir) {
+  const htmlPath = path.join(workdir, `mathml-${nanoid(6)}.html`);
+  fs.writeFileSync(htmlPath, formulas.map((m, i) => `<div id="m${i}"><p>${m}</p></div>`).join("\n"), "utf8");
+  try {
+    const { out } = await run("pandoc", [htmlPath, "-f", "html", "-t", "json"]);
+    const found = [];
+    const findMath = (node) => {
+      if (Array.isArray(node)) { for (const n of node) { const r = findMath(n); if (r) return r; } return null; }
+      if (!node || typeof node !== "object") return null;
+      if (node.t === "Math") return { display: node.c[0].t === "DisplayMath", tex: cleanTex(node.c[1]) };
+      return findMath(node.c);
+    };
+    for (const block of JSON.parse(out).blocks) {
+      const m = block.t === "Div" && /^m(\d+)$/.exec(block.c[0][0]);
+      if (m) found[Number(m[1])] = findMath(block.c[1]);
+    }
+    return found;
+  } catch (err) {
+    console.warn("⚠ Could not convert MathML to TeX:", err.message);
+    return [];
+  } finally {
+    fs.rmSync(htmlPath, { force: true });
+  }
+}
+
+async function restoreMathTokens(md, workdir) {
+  if (!md.includes("MYOTMATH")) return md;
+  const decode = (hex) => Buffer.from(hex, "hex").toString("utf8");
+  const mathml = [...md.matchAll(MATH_TOKEN_RE)].filter(m => m[1] === "M").map(m => decode(m[2]));
+  const converted = mathml.length ? await mathmlToTex(mathml, workdir) : [];
+  let next = 0;
+  return md.replace(MATH_TOKEN_RE, (_, kind, hex) => {
+    const math = kind === "M" ? converted[next++] : { display: kind === "D", tex: decode(hex) };
+    // MathML Pandoc couldn't read keeps at least its text
+    if (!math?.tex) return kind === "M" ? decode(hex).replace(/<[^>]+>/g, "") : "";
+    return math.display ? `$$${math.tex}$$` : `$${math.tex}$`;
+  });
+}
+
+// Wikipedia math images left in older cached markdown: their alt text is the TeX, so use that
+// instead of downloading an SVG that LaTeX can't include
+function mathImagesToTex(md) {
+  const unescape = (s) => s.replace(/\\([\\`*_{}\[\]()#+\-.!<>|~^$])/g, "$1");
+  return md
+    .replace(/!\[((?:\\.|[^\]\\])*)\]\((https?:\/\/wikimedia\.org\/api\/rest_v1\/media\/math\/render\/[^)\s]+)\)/g, (m, alt) => {
+      const tex = cleanTex(unescape(alt));
+      return tex ? `$${tex}$` : m;
+    })
+    .replace(/<img\b[^>]*\bsrc=["']https?:\/\/wikimedia\.org\/api\/rest_v1\/media\/math\/render\/[^>]*>/gi, (m) => {
+      const alt = /\balt=["']([^"']*)["']/i.exec(m);
+      const tex = alt ? cleanTex(alt[1].replace(/&amp;/g, "&").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"')) : "";
+      return tex ? `$${tex}$` : m;
+    });
+}
+
 function cleanWikipediaHtml(html) {
   html = html.replace(/[\u0000-\u001F\u007F-\u009F\uFDD0-\uFDEF\uFFF0-\uFFFF]/g, "");
   const dom = new JSDOM(html);
   const doc = dom.window.document;
+  normalizeMath(doc);
   const selectors = [
     ".hatnote", ".shortdescription", ".ambox", ".mbox-small", ".messagebox",
     "#toc", ".toc",
@@ -626,6 +865,182 @@ async function countPdfPages(pdfPath) {
   }
 }
 
+const PAGE_SELECTION_MAX = 5000;
+
+// Parse a page selection such as "3-17, 22" into 1-based page numbers, in the order given.
+// Returns null for an empty selection (meaning the whole document); throws on malformed input,
+// pages past pageCount, or when the page count is unknown and the selection can't be checked.
+function parsePageRanges(spec, pageCount) {
+  const text = String(spec ?? "").trim();
+  if (!text) return null;
+  if (!pageCount) throw new Error("Could not count the PDF's pages to check the page selection");
+  const pages = [];
+  for (const part of text.split(",")) {
+    const m = part.trim().match(/^(\d+)(?:\s*[-–]\s*(\d+))?$/);
+    if (!m) throw new Error(`Invalid page range "${part.trim()}" (use e.g. 3-17, 22)`);
+    const from = parseInt(m[1], 10);
+    const to = m[2] ? parseInt(m[2], 10) : from;
+    if (from < 1 || to < from) throw new Error(`Invalid page range "${part.trim()}"`);
+    if (to > pageCount) throw new Error(`Page ${to} is past the end of the document (${pageCount} pages)`);
+    if (pages.length + to - from + 1 > PAGE_SELECTION_MAX) throw new Error(`Page selection is longer than ${PAGE_SELECTION_MAX} pages`);
+    for (let p = from; p <= to; p++) pages.push(p);
+  }
+  return pages;
+}
+
+// Compact page numbers back into qpdf/gs range syntax, e.g. [3,4,5,22] -> "3-5,22"
+function formatPageRanges(pages) {
+  const parts = [];
+  for (let i = 0; i < pages.length; i++) {
+    let j = i;
+    while (j + 1 < pages.length && pages[j + 1] === pages[j] + 1) j++;
+    parts.push(i === j ? String(pages[i]) : `${pages[i]}-${pages[j]}`);
+    i = j;
+  }
+  return parts.join(",");
+}
+
+// Write the selected pages of srcPdf to outPdf with whichever PDF tool is installed
+async function extractPdfPages(srcPdf, pages, outPdf) {
+  const merger = findPdfMerger();
+  if (!merger) throw new Error("Page selection requires qpdf, pdfunite (poppler-utils), or ghostscript (gs).");
+  const ranges = formatPageRanges(pages);
+
+  if (merger.tool === "qpdf") {
+    await runOk(merger.path, ["--warning-exit-0", "--empty", "--pages", srcPdf, ranges, "--", outPdf], [0,2,3]);
+  } else if (merger.tool === "pdfunite") {
+    // pdfunite cannot select pages; split the wanted pages out with its sibling pdfseparate first
+    const separate = path.join(path.dirname(merger.path), "pdfseparate");
+    const pattern = outPdf.replace(/\.pdf$/i, "") + "-page-%d.pdf";
+    const singles = [];
+    for (const p of pages) {
+      await run(fs.existsSync(separate) ? separate : "pdfseparate", ["-f", String(p), "-l", String(p), srcPdf, pattern]);
+      singles.push(pattern.replace("%d", String(p)));
+    }
+    if (singles.length === 1) fs.copyFileSync(singles[0], outPdf);
+    else await run(merger.path, singles.concat(outPdf));
+  } else if (merger.tool === "gs") {
+    await run(merger.path, ["-dBATCH","-dNOPAUSE","-sDEVICE=pdfwrite", `-sPageList=${ranges}`, `-sOutputFile=${outPdf}`, srcPdf]);
+  }
+  return outPdf;
+}
+
+// Replace the outline (bookmarks) of a PDF. Entries are { title, level, page } in reading order,
+// with 1-based pages; an entry is nested under the closest preceding entry with a lower level.
+async function writePdfOutline(pdfPath, entries) {
+  const pdf = await PDFDocument.load(fs.readFileSync(pdfPath), { ignoreEncryption: true, updateMetadata: false });
+  const ctx = pdf.context;
+  const pages = pdf.getPages();
+
+  const root = { children: [] };
+  const stack = [{ level: 0, node: root }];
+  for (const e of entries) {
+    if (!e.title || !e.page || e.page > pages.length) continue;
+    while (stack.length > 1 && stack[stack.length - 1].level >= e.level) stack.pop();
+    const node = { title: e.title, page: e.page, children: [], ref: ctx.nextRef() };
+    stack[stack.length - 1].node.children.push(node);
+    stack.push({ level: e.level, node });
+  }
+  if (!root.children.length) return false;
+
+  const outlinesRef = ctx.nextRef();
+  const countOpen = (node) => node.children.reduce((n, c) => n + 1 + countOpen(c), 0);
+  const assign = (parentRef, children) => {
+    children.forEach((node, i) => {
+      const dict = {
+        Title: PDFHexString.fromText(node.title),
+        Parent: parentRef,
+        Dest: [pages[node.page - 1].ref, "Fit"]
+      };
+      if (i > 0) dict.Prev = children[i - 1].ref;
+      if (i < children.length - 1) dict.Next = children[i + 1].ref;
+      if (node.children.length) {
+        dict.First = node.children[0].ref;
+        dict.Last = node.children[node.children.length - 1].ref;
+        dict.Count = countOpen(node);
+        assign(node.ref, node.children);
+      }
+      ctx.assign(node.ref, ctx.obj(dict));
+    });
+  };
+  assign(outlinesRef, root.children);
+  ctx.assign(outlinesRef, ctx.obj({
+    Type: "Outlines",
+    First: root.children[0].ref,
+    Last: root.children[root.children.length - 1].ref,
+    Count: countOpen(root)
+  }));
+  pdf.catalog.set(PDFName.of("Outlines"), outlinesRef);
+  pdf.catalog.set(PDFName.of("PageMode"), PDFName.of("UseOutlines"));
+  fs.writeFileSync(pdfPath, await pdf.save());
+  return true;
+}
+
+// Scale every page of an uploaded PDF to fit the trim size (keeping its aspect ratio) and centre it
+// on the print sheet, adding crop marks when asked, so embedded PDFs match the rendered pages.
+async function fitPdfToTrim(srcPdf, outPdf, layout) {
+  const PT = 72;
+  const src = await PDFDocument.load(fs.readFileSync(srcPdf), { ignoreEncryption: true });
+  const out = await PDFDocument.create();
+  const trimW = layout.width * PT, trimH = layout.height * PT, off = layout.offset * PT;
+  const embedded = await out.embedPages(src.getPages());
+  for (const page of embedded) {
+    const sheet = out.addPage([trimW + 2 * off, trimH + 2 * off]);
+    const scale = Math.min(trimW / page.width, trimH / page.height);
+    const w = page.width * scale, h = page.height * scale;
+    sheet.drawPage(page, { x: off + (trimW - w) / 2, y: off + (trimH - h) / 2, width: w, height: h });
+    if (layout.cropMarks) {
+      // Marks start just outside the bleed and run to the sheet edge at each trim corner
+      const gap = BLEED_IN * PT, line = { thickness: 0.25, color: rgb(0, 0, 0) };
+      for (const x of [off, off + trimW]) {
+        for (const y of [off, off + trimH]) {
+          const dx = x === off ? -1 : 1, dy = y === off ? -1 : 1;
+          sheet.drawLine({ start: { x, y: y + dy * gap }, end: { x, y: y + dy * off }, ...line });
+          sheet.drawLine({ start: { x: x + dx * gap, y }, end: { x: x + dx * off, y }, ...line });
+        }
+      }
+    }
+  }
+  fs.writeFileSync(outPdf, await out.save());
+  return outPdf;
+}
+
+// Stamp running headers and footers onto an embedded PDF so its pages carry the same folios as the
+// rendered ones. values holds the book/chapter/item/source text; pages are numbered from firstPage,
+// after leaving the first `skip` pages (title and contents of a merged file) as they are.
+async function stampRunningHeads(srcPdf, outPdf, { heads, values = {}, firstPage, total, layout, skip = 0 }) {
+  const PT = 72;
+  const doc = await PDFDocument.load(fs.readFileSync(srcPdf), { ignoreEncryption: true });
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  // The standard fonts only cover WinAnsi, so anything else is dropped rather than failing the export
+  const charset = new Set(font.getCharacterSet());
+  const encodable = (text) => [...text].filter(ch => charset.has(ch.codePointAt(0))).join("");
+  const size = 9;
+  const off = (layout?.offset || 0) * PT;
+  doc.getPages().slice(skip).forEach((page, i) => {
+    const folio = firstPage + i;
+    const { width, height } = page.getSize();
+    const trimW = width - 2 * off, trimH = height - 2 * off;
+    // Same margins as the LaTeX pages; on mirrored layouts even pages swap left and right
+    const swap = layout?.mirror && folio % 2 === 0;
+    const left = (layout ? (swap ? layout.outer : layout.inner) : 1) * PT;
+    const right = (layout ? (swap ? layout.inner : layout.outer) : 1) * PT;
+    const top = (layout?.top ?? 1) * PT, bottom = (layout?.bottom ?? 1) * PT;
+    for (const slot of heads.slots) {
+      const raw = slot.field === "page" ? formatRunningPage(heads.pageStyle, folio, total) : values[slot.field];
+      const text = encodable(String(raw || ""));
+      if (!text) continue;
+      const pos = swap && slot.pos !== "center" ? (slot.pos === "left" ? "right" : "left") : slot.pos;
+      const textW = font.widthOfTextAtSize(text, size);
+      const x = pos === "left" ? left : pos === "right" ? trimW - right - textW : (trimW - textW) / 2;
+      const y = slot.band === "header" ? trimH - top / 2 : bottom / 2 - size / 2;
+      page.drawText(text, { x: off + x, y: off + y, size, font, color: rgb(0.25, 0.25, 0.25) });
+    }
+  });
+  fs.writeFileSync(outPdf, await doc.save());
+  return outPdf;
+}
+
 // Count pages in DOCX file by converting to PDF temporarily
 async function countDocxPages(docxPath) {
   try {
@@ -836,6 +1251,47 @@ async function pdfHasExtractableText(pdfPath) {
   }
 }
 
+// OCR fallback for scanned PDFs: pages are rendered with pdftoppm and read with tesseract.
+// Recognized text is cached per uploaded file and page, so only pages never seen before cost time.
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || "eng";
+const getOcrCache = db.prepare(`SELECT pages_json FROM pdf_ocr_cache WHERE local_path=?`);
+const putOcrCache = db.prepare(`INSERT OR REPLACE INTO pdf_ocr_cache (local_path,pages_json,updated_at) VALUES (?,?,?)`);
+
+async function ocrPdfPages(pdfPath, cacheKey, pages, onPage = () => {}) {
+  const row = getOcrCache.get(cacheKey);
+  const cache = row ? safeParseJSON(row.pages_json, {}) : {};
+  const missing = pages.filter(p => typeof cache[p] !== "string");
+
+  if (missing.length) {
+    if (!whichExists("pdftoppm") || !whichExists("tesseract")) {
+      console.warn("⚠ OCR needs pdftoppm (poppler-utils) and tesseract");
+      return null;
+    }
+    const ocrDir = fs.mkdtempSync(path.join(TMP_DIR, "build-ocr-"));
+    try {
+      for (const [i, p] of missing.entries()) {
+        onPage(i + 1, missing.length);
+        const base = path.join(ocrDir, `page-${p}`);
+        try {
+          await run("pdftoppm", ["-f", String(p), "-l", String(p), "-r", "300", "-gray", "-png", "-singlefile", pdfPath, base]);
+          const { out } = await run("tesseract", [`${base}.png`, "stdout", "-l", OCR_LANGUAGES]);
+          cache[p] = out;
+        } catch (err) {
+          console.warn(`⚠ OCR failed on page ${p} of ${pdfPath}:`, err.message);
+        } finally {
+          fs.rmSync(`${base}.png`, { force: true });
+        }
+      }
+    } finally {
+      putOcrCache.run(cacheKey, JSON.stringify(cache), nowISO());
+      fs.rmSync(ocrDir, { recursive: true, force: true });
+    }
+  }
+
+  const text = pages.map(p => cache[p] || "").join("\n\n");
+  return text.trim() ? cleanExtractedText(text) : null;
+}
+
 function safeExtFromUrl(u, fallback = "bin") {
   try {
     const ext = path.extname(new URL(u).pathname).toLowerCase().replace(".", "");
@@ -843,7 +1299,36 @@ function safeExtFromUrl(u, fallback = "bin") {
   } catch { return fallback; }
 }
 
+// Requests to the same host are spaced out by FETCH_HOST_INTERVAL_MS, across all exports
+// and preflight checks, so fetching many items at once doesn't hammer a single site.
+const FETCH_HOST_INTERVAL_MS = Number(process.env.FETCH_HOST_INTERVAL_MS || 500);
+const hostNextRequest = new Map(); // hostname -> earliest time the next request may start
+
+async function waitForHost(url) {
+  let host;
+  try { host = new URL(url).hostname; } catch { return; }
+  const now = Date.now();
+  for (const [h, at] of hostNextRequest) if (at < now) hostNextRequest.delete(h);
+  const at = Math.max(now, hostNextRequest.get(host) || 0);
+  hostNextRequest.set(host, at + FETCH_HOST_INTERVAL_MS);
+  if (at > now) await new Promise(resolve => setTimeout(resolve, at - now));
+}
+
+// Returns limit(fn): runs fn once fewer than `concurrency` of the calls are in flight, in call order
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= concurrency || !queue.length) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve().then(fn).then(resolve, reject).finally(() => { active--; next(); });
+  };
+  return (fn) => new Promise((resolve, reject) => { queue.push({ fn, resolve, reject }); next(); });
+}
+
 async function downloadToFile(url, destPath) {
+  await waitForHost(url);
   const res = await fetch(url, {
     redirect: "follow",
     headers: {
@@ -875,6 +1360,7 @@ async function fetchHtml(url) {
   for (let i = 0; i < userAgents.length; i++) {
     const ua = userAgents[i];
     try {
+      await waitForHost(url);
       const res = await fetch(url, {
         redirect: "follow",
         headers: {
@@ -1012,6 +1498,11 @@ function extractMainFromHtml(rawHtml, baseUrl = "") {
   const rough = rawHtml.replace(/<\/?(nav|aside|footer|header|iframe|noscript|template)[\s\S]*?>/gi, "");
   const dom = new JSDOM(rough, { url: baseUrl });
   const doc = dom.window.document;
+  const formulas = normalizeMath(doc);
+  if (formulas) console.log(`✓ Kept ${formulas} formula(s) as TeX math`);
+  // Meta tags are stripped with the junk below, so read the bibliographic ones first
+  const metaBib = bibFromMetaTags(doc);
+  const license = licenseFromHtml(doc);
   
   // Expanded junk selector list for better cleanup
   const junkSel = [
@@ -1044,7 +1535,7 @@ function extractMainFromHtml(rawHtml, baseUrl = "") {
     console.log(`✓ Readability extracted ${art.content.length} chars from ${baseUrl}`);
     // Post-process the Readability output to remove additional artifacts
     const cleanedContent = postProcessReadabilityContent(art.content);
-    return { html: cleanedContent, title: art.title || "", byline: art.byline || "" };
+    return { html: cleanedContent, title: art.title || "", byline: art.byline || "", bib: withBylineAuthor(metaBib, art.byline), license };
   }
   
   console.warn(`⚠ Readability failed for ${baseUrl}, trying fallbacks...`);
@@ -1073,7 +1564,7 @@ function extractMainFromHtml(rawHtml, baseUrl = "") {
       const html = elem.innerHTML.trim();
       if (html.length > 100) {
         console.log(`✓ Fallback selector '${sel}' extracted ${html.length} chars`);
-        return { html, title: doc.title || "", byline: "" };
+        return { html, title: doc.title || "", byline: "", bib: metaBib, license };
       }
     }
   }
@@ -1091,14 +1582,194 @@ function extractMainFromHtml(rawHtml, baseUrl = "") {
     
     if (contentHtml.length > 100) {
       console.log(`✓ Paragraph extraction found ${contentHtml.length} chars`);
-      return { html: contentHtml, title: doc.title || "", byline: "" };
+      return { html: contentHtml, title: doc.title || "", byline: "", bib: metaBib, license };
     }
   }
   
   // Last resort: body content
   console.warn(`⚠ All extraction methods failed for ${baseUrl}, using body`);
   const bodyHtml = doc.body?.innerHTML || "";
-  return { html: bodyHtml, title: doc.title || "", byline: "" };
+  return { html: bodyHtml, title: doc.title || "", byline: "", bib: metaBib, license };
+}
+
+// ---- bibliographic metadata (item options.bib = { authors: [], publisher, issued, doi }) ----
+const BIB_FIELDS = ["authors", "publisher", "issued", "doi"];
+
+function normalizeDoi(s) {
+  const m = /10\.\d{4,9}\/\S+/.exec(String(s || ""));
+  return m ? m[0].replace(/[.,;]+$/, "") : "";
+}
+
+// "2024-03-05T10:00:00Z", "2024/03/05", "March 5, 2024" -> "2024-03-05"; a bare year stays a year
+function normalizeIssued(s) {
+  const text = String(s || "").trim();
+  if (!text) return "";
+  const iso = /^(\d{4})(?:[-/](\d{1,2})(?:[-/](\d{1,2}))?)?/.exec(text);
+  if (iso) return [iso[1], iso[2], iso[3]].filter(Boolean).map((n, i) => i ? n.padStart(2, "0") : n).join("-");
+  const parsed = new Date(text);
+  if (isNaN(parsed)) return "";
+  return [parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate()].map((n, i) => i ? String(n).padStart(2, "0") : String(n)).join("-");
+}
+
+// Highwire (citation_*), Dublin Core and Open Graph tags, in that order of preference
+function bibFromMetaTags(doc) {
+  const all = (...names) => names.flatMap(n => Array.from(doc.querySelectorAll(`meta[name="${n}" i], meta[property="${n}" i]`)))
+    .map(m => (m.getAttribute("content") || "").trim()).filter(Boolean);
+  const first = (...names) => all(...names)[0] || "";
+  const authors = all("citation_author", "dc.creator", "dcterms.creator", "author", "article:author")
+    .filter(a => !/^https?:\/\//i.test(a));
+  return {
+    authors: [...new Set(authors)],
+    publisher: first("citation_publisher", "dc.publisher", "dcterms.publisher", "citation_journal_title", "og:site_name"),
+    issued: normalizeIssued(first("citation_publication_date", "citation_date", "dc.date", "dcterms.issued", "article:published_time", "date")),
+    doi: normalizeDoi(first("citation_doi", "dc.identifier", "prism.doi"))
+  };
+}
+
+// Readability's byline ("By Jane Doe and John Roe") when the page has no author tags
+function withBylineAuthor(bib, byline) {
+  if (bib.authors.length || !byline) return bib;
+  const names = byline.replace(/^\s*by\s+/i, "").split(/\s*(?:,|\band\b|&)\s*/i).map(s => s.trim()).filter(s => s && s.length < 80);
+  return { ...bib, authors: names };
+}
+
+// Fill only the fields the user hasn't set; returns null when nothing changed
+function mergeBib(current = {}, found = {}) {
+  const merged = { ...current };
+  let changed = false;
+  for (const field of BIB_FIELDS) {
+    const have = field === "authors" ? (current.authors || []).length : (current[field] || "").trim();
+    const got = field === "authors" ? (found.authors || []).length : (found[field] || "").trim();
+    if (!have && got) { merged[field] = found[field]; changed = true; }
+  }
+  return changed ? merged : null;
+}
+
+function hasBib(bib) {
+  return !!bib && BIB_FIELDS.some(f => f === "authors" ? (bib.authors || []).length : (bib[f] || "").trim());
+}
+
+// Citation fields as typed in the UI: authors may come as one "A; B" string
+function cleanBib(bib) {
+  const authors = Array.isArray(bib?.authors) ? bib.authors : String(bib?.authors || "").split(";");
+  const issued = String(bib?.issued || "").trim();
+  return {
+    authors: authors.map(a => String(a).trim()).filter(Boolean),
+    publisher: String(bib?.publisher || "").trim(),
+    issued: normalizeIssued(issued) || issued,
+    doi: normalizeDoi(bib?.doi)
+  };
+}
+
+// ---- licenses (item options.license = { type, url, version, justification, permissionDoc, permissionDocName, detected }) ----
+const LICENSES = {
+  "cc-by":         { label: "CC BY",       cc: "by" },
+  "cc-by-sa":      { label: "CC BY-SA",    cc: "by-sa", sa: true },
+  "cc-by-nd":      { label: "CC BY-ND",    cc: "by-nd", nd: true },
+  "cc-by-nc":      { label: "CC BY-NC",    cc: "by-nc", nc: true },
+  "cc-by-nc-sa":   { label: "CC BY-NC-SA", cc: "by-nc-sa", nc: true, sa: true },
+  "cc-by-nc-nd":   { label: "CC BY-NC-ND", cc: "by-nc-nd", nc: true, nd: true },
+  "cc0":           { label: "CC0 (public domain dedication)" },
+  "public-domain": { label: "Public domain" },
+  "fair-use":      { label: "Fair use" },
+  "permission":    { label: "Used with permission" }
+};
+const WIKIPEDIA_LICENSE = { type: "cc-by-sa", url: "https://creativecommons.org/licenses/by-sa/4.0/", version: "4.0", detected: true };
+
+function licenseFromUrl(href) {
+  const url = String(href || "").trim().replace(/^http:/i, "https:");
+  const cc = /creativecommons\.org\/licenses\/(by(?:-nc)?(?:-sa|-nd)?)(?:\/([\d.]+))?/i.exec(url);
+  if (cc) return { type: `cc-${cc[1].toLowerCase()}`, url, version: cc[2] || "" };
+  if (/creativecommons\.org\/publicdomain\/zero/i.test(url)) return { type: "cc0", url };
+  if (/creativecommons\.org\/publicdomain\/mark/i.test(url)) return { type: "public-domain", url };
+  return null;
+}
+
+// rel="license" links first, then Dublin Core rights tags, then any Creative Commons badge link
+function licenseFromHtml(doc) {
+  const candidates = [
+    ...Array.from(doc.querySelectorAll('a[rel~="license"], link[rel~="license"]')).map(a => a.getAttribute("href")),
+    ...Array.from(doc.querySelectorAll('meta[name="dc.rights" i], meta[name="dcterms.license" i], meta[name="dcterms.rights" i]')).map(m => m.getAttribute("content")),
+    ...Array.from(doc.querySelectorAll('a[href*="creativecommons.org/"]')).map(a => a.getAttribute("href"))
+  ];
+  for (const href of candidates) {
+    const license = licenseFromUrl(href);
+    if (license) return { ...license, detected: true };
+  }
+  return null;
+}
+
+function licenseLabel(license) {
+  const info = LICENSES[license?.type];
+  if (!info) return "No license recorded";
+  return info.cc && license.version ? `${info.label} ${license.version}` : info.label;
+}
+
+// Recorded license; Wikipedia articles are CC BY-SA even when none was recorded (items added
+// before licenses were, or filled from the cache without a fresh fetch)
+function itemLicense(it, opts = it.options || safeParseJSON(it.options_json, {})) {
+  if (opts.license?.type) return opts.license;
+  return it.type === "wikipedia" || isWikipedia(it.source_url) ? WIKIPEDIA_LICENSE : {};
+}
+
+// License as edited in the UI; the permission document is uploaded separately and kept
+function cleanLicense(license, current = {}) {
+  if (!LICENSES[license?.type]) return null;
+  const info = LICENSES[license.type];
+  const cleaned = { type: license.type };
+  const url = String(license.url || "").trim() || (info.cc ? `https://creativecommons.org/licenses/${info.cc}/4.0/` : "");
+  if (url) cleaned.url = url;
+  if (info.cc) cleaned.version = String(license.version || "").trim() || (license.type === current?.type ? current.version : "") || "4.0";
+  if (license.type === "fair-use") cleaned.justification = String(license.justification || "").trim();
+  if (license.type === "permission" && current?.permissionDoc) {
+    cleaned.permissionDoc = current.permissionDoc;
+    cleaned.permissionDocName = current.permissionDocName;
+  }
+  return cleaned;
+}
+
+// Pre-export copyright check. Each problem is an "error" (fix before distributing) or a "warning".
+function licenseComplianceReport(project, items, { format = null } = {}) {
+  const commercial = !!safeParseJSON(project.options_json, {}).commercialDistribution;
+  const rows = [];
+  for (const it of items) {
+    if (["heading", "titlepage", "glossary", "text"].includes(it.type)) continue;
+    const opts = it.options || safeParseJSON(it.options_json, {});
+    const license = itemLicense(it, opts);
+    const info = LICENSES[license.type];
+    const issues = [];
+    const problem = (level, message) => issues.push({ level, message });
+    if (!info) {
+      problem("error", "No license recorded");
+    } else {
+      if (license.type === "fair-use" && !(license.justification || "").trim()) problem("error", "Fair use claimed without a justification");
+      if (license.type === "permission" && !license.permissionDoc) problem("warning", "Permission recorded but no permission document is on file");
+      if (info.nc && commercial) problem("error", `${info.label} does not allow commercial use, but this reader is distributed commercially`);
+      if (info.nd) {
+        if ((opts.pages || "").trim()) problem("warning", `${info.label} does not allow adaptations; only pages ${opts.pages} are included`);
+        if (it.type === "pdf" && format && format !== "pdf") problem("warning", `${info.label} does not allow adaptations; the PDF's text is re-typeset for ${format.toUpperCase()}`);
+        if (it.type === "url" || it.type === "wikipedia") problem("warning", `${info.label} does not allow adaptations; the web page is reformatted for the reader`);
+      }
+    }
+    rows.push({ id: it.id, title: it.title, type: it.type, license: info ? license.type : null, label: licenseLabel(license), detected: !!license.detected, issues });
+  }
+  const count = (level) => rows.reduce((n, r) => n + r.issues.filter(i => i.level === level).length, 0);
+  return { commercial, format, items: rows, errors: count("error"), warnings: count("warning") };
+}
+
+// Store metadata found while fetching an item ({ bib, license }), leaving alone anything the user filled in
+function autofillItemMetadata(it, found) {
+  const options = it.options || safeParseJSON(it.options_json, {});
+  if (!found) return { bib: options.bib || null, license: options.license || null };
+  const merged = mergeBib(options.bib, found.bib);
+  const license = !options.license?.type && found.license ? found.license : null;
+  if (merged) options.bib = merged;
+  if (license) options.license = license;
+  if (merged || license) {
+    it.options = options;
+    db.prepare(`UPDATE items SET options_json=?, updated_at=? WHERE id=?`).run(JSON.stringify(options), nowISO(), it.id);
+  }
+  return { bib: options.bib || null, license: options.license || null };
 }
 
 // Static UI
@@ -1106,6 +1777,7 @@ app.use(express.static(path.join(__dirname, "public")));
 
 async function fetchWikipediaHtmlByTitle(title, lang = "en") {
   const rest = `https://${lang}.wikipedia.org/api/rest_v1/page/html/${encodeURIComponent(title)}`;
+  await waitForHost(rest);
   const res = await fetch(rest, { headers: { "User-Agent": USER_AGENT, "Accept": "text/html" }, redirect: "follow" });
   if (!res.ok) {
     const txt = await res.text().catch(() => "");
@@ -1116,7 +1788,8 @@ async function fetchWikipediaHtmlByTitle(title, lang = "en") {
   const etag = res.headers.get("etag");
   const rev = etag ? etag.replace(/W\/"?|"?/g, "").split("/")[0] : null;
   const canonical = `https://${lang}.wikipedia.org/wiki/${encodeURIComponent(title)}` + (rev ? `?oldid=${rev}` : "");
-  return { html: cleanedHtml, canonical, revision: rev };
+  const lastModified = res.headers.get("last-modified");
+  return { html: cleanedHtml, canonical, revision: rev, revisionDate: lastModified ? normalizeIssued(new Date(lastModified).toISOString()) : "" };
 }
 
 function resolveLocalPath(p) {
@@ -1165,6 +1838,9 @@ async function convertHtmlToMd(html, outPath, workdir) {
     
     // Clean up multiple consecutive blank lines
     md = md.replace(/\n{3,}/g, '\n\n');
+
+    // Equations were carried through as tokens (see normalizeMath)
+    md = await restoreMathTokens(md, path.dirname(outPath));
     
     fs.writeFileSync(outPath, md.trim(), "utf8");
   }
@@ -1195,7 +1871,7 @@ async function maybeDownscaleImage(localPath, maxPx = 4000) {
 }
 
 async function scrubMarkdownForPdf(mdPath, workdir) {
-  let txt = fs.readFileSync(mdPath, "utf8");
+  let txt = mathImagesToTex(fs.readFileSync(mdPath, "utf8"));
   let hadSvg = false;
   const svgBlockRe = /<svg[\s\S]*?<\/svg>/gi;
   if (svgBlockRe.test(txt)) {
@@ -1246,14 +1922,33 @@ async function scrubMarkdownForPdf(mdPath, workdir) {
   return { hadSvg };
 }
 
+function wikipediaBib(revisionDate) {
+  return { authors: ["Wikipedia contributors"], publisher: "Wikipedia, The Free Encyclopedia", issued: revisionDate || "", doi: "" };
+}
+
+// Metadata for the auto-fill button: meta tags, byline and license markup for web pages,
+// revision date (and the CC BY-SA license) for Wikipedia
+async function fetchSourceMetadata(url) {
+  if (isWikipedia(url)) {
+    const { title, lang } = wikipediaTitleFromUrl(url);
+    const { revisionDate } = await fetchWikipediaHtmlByTitle(title, lang);
+    return { bib: wikipediaBib(revisionDate), license: WIKIPEDIA_LICENSE };
+  }
+  const target = normalizeUrlMaybe(url);
+  const { html } = await fetchHtml(target);
+  const { bib, license } = extractMainFromHtml(html, target);
+  return { bib, license };
+}
+
+// Writes the page as markdown and resolves to the { bib, license } metadata found on the way
 async function convertUrlToMdSmart(inputUrl, outPath, wikipediaAttributionCollector, workdir) {
   if (isWikipedia(inputUrl)) {
     const { title, lang, oldid } = wikipediaTitleFromUrl(inputUrl);
-    const { html, canonical, revision } = await fetchWikipediaHtmlByTitle(title, lang);
+    const { html, canonical, revision, revisionDate } = await fetchWikipediaHtmlByTitle(title, lang);
     await convertHtmlToMd(html, outPath, workdir);
     const finalUrl = oldid ? `${canonical.split("?")[0]}?oldid=${oldid}` : canonical;
     wikipediaAttributionCollector.push({ title: title.replace(/_/g, " "), url: finalUrl, revision: oldid || revision || null });
-    return;
+    return { bib: wikipediaBib(revisionDate), license: WIKIPEDIA_LICENSE };
   }
   
   const url = normalizeUrlMaybe(inputUrl);
@@ -1263,7 +1958,7 @@ async function convertUrlToMdSmart(inputUrl, outPath, wikipediaAttributionCollec
     const { html: raw } = await fetchHtml(url);
     console.log(`✓ Fetched ${raw.length} bytes from ${url}`);
     
-    const { html: mainHtml, title } = extractMainFromHtml(raw, url);
+    const { html: mainHtml, title, bib, license } = extractMainFromHtml(raw, url);
     console.log(`✓ Extracted content: ${mainHtml.length} bytes, title: "${title}"`);
     
     if (!mainHtml || mainHtml.trim().length < 50) {
@@ -1284,6 +1979,7 @@ async function convertUrlToMdSmart(inputUrl, outPath, wikipediaAttributionCollec
     } else {
       console.error(`✗ Markdown file was not created: ${outPath}`);
     }
+    return { bib, license };
   } catch (err) {
     console.error(`✗ Failed to convert URL ${url}:`, err.message);
     
@@ -1293,96 +1989,1421 @@ async function convertUrlToMdSmart(inputUrl, outPath, wikipediaAttributionCollec
       const markerMd = `Bot protection detected: This website uses bot protection (Cloudflare) and cannot be automatically fetched.`;
       fs.writeFileSync(outPath, markerMd, "utf8");
       console.log(`✓ Created marker for skipping during export`);
-      return; // Don't throw error, just use marker
+      return null; // Don't throw error, just use marker
     }
     
     throw err;
   }
 }
 
-function ensureCss(workdir) {
-  const css = `\nh1 { break-before: page; }\n.pagebreak { break-before: page; }\nbody { widows: 2; orphans: 2; }\n`;
+// ---- themes (project options.theme / options.themeAccent, plus optional uploaded customCss / customLatex) ----
+// Fonts are TeX Gyre OpenType files, which ship with TeX Live and with tectonic's bundle.
+const THEMES = {
+  classic: {
+    label: "Classic",
+    accent: "000000",
+    latex: null, // pandoc's default LaTeX look
+    fontStack: `Georgia, "Times New Roman", serif`,
+    headingStack: `inherit`
+  },
+  modern: {
+    label: "Modern",
+    accent: "1F4E79",
+    latex: { mainfont: "texgyrepagella", sansfont: "texgyreheros", headings: "sans", opener: "rule" },
+    fontStack: `"Palatino Linotype", Palatino, "Book Antiqua", serif`,
+    headingStack: `"Helvetica Neue", Helvetica, Arial, sans-serif`
+  },
+  academic: {
+    label: "Academic",
+    accent: "222222",
+    latex: { mainfont: "texgyretermes", headings: "serif", opener: "display", linestretch: 1.15 },
+    fontStack: `"Times New Roman", Times, serif`,
+    headingStack: `"Times New Roman", Times, serif`
+  },
+  bold: {
+    label: "Bold",
+    accent: "B91C1C",
+    latex: { mainfont: "texgyreschola", sansfont: "texgyreheros", headings: "sans", opener: "block" },
+    fontStack: `"Century Schoolbook", "New Century Schoolbook", Georgia, serif`,
+    headingStack: `"Helvetica Neue", Helvetica, Arial, sans-serif`
+  }
+};
+
+function resolveTheme(themeName, accent) {
+  const theme = THEMES[themeName] || THEMES.classic;
+  const hex = /^#?[0-9a-f]{6}$/i.test(accent || "") ? accent.replace("#", "").toUpperCase() : theme.accent;
+  return { ...theme, accent: hex };
+}
+
+function fontspecFamily(cmd, family) {
+  return `\\${cmd}{${family}}[Extension=.otf, UprightFont=*-regular, BoldFont=*-bold, ItalicFont=*-italic, BoldItalicFont=*-bolditalic]`;
+}
+
+// The project's uploaded LaTeX file, if an admin uploaded it (see CUSTOM_THEME_FILES)
+function adminLatexTemplate(projectOptions) {
+  const abs = resolveLocalPath(projectOptions.customLatex);
+  if (!abs) return null;
+  const by = projectOptions.customLatexBy && db.prepare(`SELECT is_admin FROM users WHERE username=?`).get(projectOptions.customLatexBy);
+  if (by?.is_admin) return abs;
+  console.warn(`⚠ Ignoring custom LaTeX ${projectOptions.customLatexName || abs}: not uploaded by an admin`);
+  return null;
+}
+
+// Pandoc arguments applying a theme to LaTeX output. An uploaded LaTeX file replaces the whole
+// template when it contains $body$, otherwise it is added to the preamble after the theme.
+function themeLatexArgs(theme, workdir, customLatexPath) {
+  const args = [];
+  const t = theme.latex;
+  if (t) {
+    const family = t.headings === "sans" ? "\\sffamily" : "\\rmfamily";
+    const lines = [
+      "\\usepackage{fontspec}",
+      fontspecFamily("setmainfont", t.mainfont),
+      ...(t.sansfont ? [fontspecFamily("setsansfont", t.sansfont)] : []),
+      "\\usepackage{xcolor}",
+      `\\definecolor{themeaccent}{HTML}{${theme.accent}}`,
+      "\\usepackage[explicit]{titlesec}"
+    ];
+    if (t.opener === "block") {
+      lines.push(`\\titleformat{\\section}[block]{\\normalfont\\LARGE\\bfseries${family}}{}{0pt}{\\colorbox{themeaccent}{\\parbox{\\dimexpr\\linewidth-2\\fboxsep\\relax}{\\color{white}\\strut #1}}}`);
+    } else if (t.opener === "display") {
+      lines.push(`\\titleformat{\\section}[display]{\\normalfont\\huge\\bfseries${family}\\color{themeaccent}}{}{0pt}{#1}`);
+      lines.push(`\\titlespacing*{\\section}{0pt}{4em}{2em}`);
+    } else {
+      lines.push(`\\titleformat{\\section}{\\normalfont\\LARGE\\bfseries${family}\\color{themeaccent}}{}{0pt}{#1}[{\\color{themeaccent}\\titlerule[0.8pt]}]`);
+    }
+    lines.push(`\\titleformat{\\subsection}{\\normalfont\\Large\\bfseries${family}\\color{themeaccent}}{}{0pt}{#1}`);
+    lines.push(`\\titleformat{\\subsubsection}{\\normalfont\\large\\bfseries${family}}{}{0pt}{#1}`);
+    const header = path.join(workdir, "theme.tex");
+    fs.writeFileSync(header, lines.join("\n") + "\n");
+    args.push("--include-in-header", header);
+    if (t.linestretch) args.push("-V", `linestretch=${t.linestretch}`);
+  }
+  if (customLatexPath) {
+    const isTemplate = fs.readFileSync(customLatexPath, "utf8").includes("$body$");
+    args.push(isTemplate ? "--template" : "--include-in-header", customLatexPath);
+  }
+  return args;
+}
+
+function themeCss(theme) {
+  return `
+body { font-family: ${theme.fontStack}; line-height: 1.5; }
+h1, h2, h3, h4 { font-family: ${theme.headingStack}; color: #${theme.accent}; }
+h1 { border-bottom: 2px solid #${theme.accent}; padding-bottom: .2em; }
+a { color: #${theme.accent}; }
+`;
+}
+
+// Stylesheet for EPUB output: page-break rules, then the theme, then the project's uploaded CSS (if any)
+function ensureCss(workdir, { theme = THEMES.classic, customCssPath = null } = {}) {
+  let css = `\nh1 { break-before: page; }\n.pagebreak { break-before: page; }\nbody { widows: 2; orphans: 2; }\n${CALLOUT_CSS}`;
+  if (theme.latex) css += themeCss(theme);
+  if (customCssPath) css += `\n/* project stylesheet */\n${fs.readFileSync(customCssPath, "utf8")}\n`;
   const cssPath = path.join(workdir, "epub.css");
   fs.writeFileSync(cssPath, css);
   return cssPath;
 }
 
-function metaYaml(workdir, { title, showPageNumbers }) {
-  const lines = [
-    `lang: "en"`,
-    `toc: true`,
-    `toc-depth: 3`,
-  ];
-  
-  if (!showPageNumbers) {
-    lines.push(`header-includes: |`);
-    lines.push(`  \\pagenumbering{gobble}`);
-  }
-  
-  const p = path.join(workdir, "meta.yaml");
-  fs.writeFileSync(p, lines.join("\n"));
-  return p;
+// ---- cover page ----
+const getUserCredit = db.prepare(`SELECT first_name,last_name,affiliation FROM users WHERE username=?`);
+
+// Name and affiliation a user is credited with (cover, credits page), falling back to the username
+function creditedUser(username) {
+  const u = getUserCredit.get(username) || {};
+  const name = `${u.first_name || ""} ${u.last_name || ""}`.trim() || username;
+  return { username, name, affiliation: (u.affiliation || "").trim() };
 }
 
-function mdFile(workdir, name, content) {
-  const p = path.join(workdir, name);
-  fs.writeFileSync(p, content);
-  return p;
+// People credited on the cover: whoever assembled this version, and the original author of a copy
+function projectContributors(project) {
+  const person = (username, role) => ({ ...creditedUser(username), role });
+  const current = project.author_username || "andrew";
+  const original = project.original_author_username || current;
+  const people = [person(current, "Compiled by")];
+  if (original !== current) people.push(person(original, "Original edition by"));
+  return people;
 }
 
-function buildPandocArgs({ meta, workdir, cssPath, includeToc, format, engine, outPath, inputs }) {
-  const args = ["--metadata-file", meta, "--resource-path", workdir, ...(includeToc ? ["--toc"] : [])];
-  if (format === "pdf") {
-    if (engine) args.push("--pdf-engine", engine);
-    if (engine !== "wkhtmltopdf") args.push("-V", "geometry:margin=1in");
+// Everything the PDF cover and EPUB metadata show. The cover image is the title page item's upload.
+function coverDetails(project, titlePageItem, exportDate = new Date()) {
+  const opts = titlePageItem?.options || {};
+  const { major, minor } = parseVersion(project.version_text || "v1");
+  return {
+    title: (titlePageItem?.title || "").trim() || project.name || "Untitled",
+    subtitle: (opts.subtitle || "").trim(),
+    courseCode: (opts.courseCode || "").trim(),
+    edition: `Edition ${minor == null ? major : `${major}.${minor}`}`,
+    date: (opts.date || "").trim() || exportDate.toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" }),
+    isoDate: exportDate.toISOString().split("T")[0],
+    contributors: projectContributors(project),
+    coverImage: titlePageItem ? resolveLocalPath(titlePageItem.local_path) : null
+  };
+}
+
+// Raw LaTeX cover: image, title block, course, contributors with affiliations, edition and date
+function coverPageMarkdown(cover, imageFile) {
+  const lines = [
+    "---",
+    "header-includes: |",
+    "  \\usepackage{graphicx}",
+    "  \\thispagestyle{empty}",
+    "  \\pagestyle{empty}",
+    "---",
+    "",
+    "```{=latex}",
+    "\\begin{center}"
+  ];
+  if (imageFile) {
+    lines.push(`\\includegraphics[width=\\textwidth,height=0.45\\textheight,keepaspectratio]{${imageFile}}\\\\[1.2cm]`);
   } else {
-    args.push("--css", cssPath);
+    lines.push("\\vspace*{0.3\\textheight}");
   }
-  args.push("-o", outPath, ...inputs);
-  return args;
+  lines.push(`{\\Huge\\bfseries ${latexEscape(cover.title)}\\par}`);
+  if (cover.subtitle) lines.push("\\vspace{0.8cm}", `{\\Large ${latexEscape(cover.subtitle)}\\par}`);
+  if (cover.courseCode) lines.push("\\vspace{0.6cm}", `{\\large ${latexEscape(cover.courseCode)}\\par}`);
+  lines.push("\\vfill");
+  for (const c of cover.contributors) {
+    lines.push(`{\\small ${latexEscape(c.role)}}\\\\`, `{\\large ${latexEscape(c.name)}\\par}`);
+    if (c.affiliation) lines.push(`{\\itshape ${latexEscape(c.affiliation)}\\par}`);
+    lines.push("\\vspace{0.4cm}");
+  }
+  lines.push("\\vspace{0.6cm}", `{\\small ${latexEscape(cover.edition)} \\textperiodcentered\\ ${latexEscape(cover.date)}\\par}`);
+  lines.push("\\end{center}", "```", "");
+  return lines.join("\n");
 }
 
-// ---- export pipeline (with engine preference, SVG scrub, and PROGRESS) ----
-async function exportProjectTo(format, project, items, options = {}, progressCb = () => {}) {
-  const failedPages = [];
-  const wikipediaAttribution = [];
-  const nonWikiAttribution = [];
-  let sawAnySvg = false;
+// ---- EPUB publication metadata (project options.publication) ----
+// { isbn, publisher, language, rights, contributors: [{ name, role }], accessibilitySummary, accessibilityHazards: "none" or "" (unknown) }.
+// Roles are MARC relator codes, which is what the OPF expects.
+const CONTRIBUTOR_ROLES = { aut: "Author", edt: "Editor", trl: "Translator", ill: "Illustrator", ctb: "Contributor" };
 
-  // Output file base and path
-  const sanitizedName = (project.name || "Untitled")
-    .replace(/[<>:"/\\|?*]/g, '') // Remove invalid filename characters
-    .replace(/\s+/g, '_') // Replace spaces with underscores
-    .substring(0, 100); // Limit length
-  const outBase = `${sanitizedName}-${Date.now()}`;
-  const ext = format === "markdown" ? "md" : format;
-  const outPath = path.join(EXPORTS_DIR, `${outBase}.${ext}`);
+function isbnChecksumOk(isbn) {
+  const digits = isbn.split("").map(c => (c === "X" ? 10 : Number(c)));
+  if (isbn.length === 10) return digits.reduce((sum, d, i) => sum + d * (10 - i), 0) % 11 === 0;
+  if (isbn.length === 13 && !isbn.includes("X")) return digits.reduce((sum, d, i) => sum + d * (i % 2 ? 3 : 1), 0) % 10 === 0;
+  return false;
+}
 
-  function authorBanner(md, projectRow) {
-    const u1 = db.prepare(`SELECT first_name,last_name,affiliation FROM users WHERE username=?`).get(projectRow.author_username || "andrew") || {};
-    const uOrig = db.prepare(`SELECT first_name,last_name,affiliation FROM users WHERE username=?`).get(projectRow.original_author_username || projectRow.author_username || "andrew") || {};
-    const a1 = `${u1.first_name||''} ${u1.last_name||''}`.trim();
-    const aff1 = (u1.affiliation||'').trim();
-    const aO = `${uOrig.first_name||''} ${uOrig.last_name||''}`.trim();
-    const affO = (uOrig.affiliation||'').trim();
-    const parts = [];
-    parts.push(`**Reader collection assembled by ${a1 || (projectRow.author_username||'')}**${aff1 ? ` of ${aff1}` : ""}.`);
-    if (projectRow.is_copy) parts.push(`Based on a previous version originally assembled by **${aO || (projectRow.original_author_username||'')}**${affO ? ` of ${affO}` : ""}.`);
-    return [md, ...parts].join("\n\n");
-  }
+// Hyphens and spaces dropped; null unless it is a valid ISBN-10 or ISBN-13
+function normalizeIsbn(value) {
+  const isbn = String(value || "").toUpperCase().replace(/^ISBN(?:-1[03])?:?\s*/, "").replace(/[\s-]/g, "");
+  return /^(\d{9}[\dX]|\d{13})$/.test(isbn) && isbnChecksumOk(isbn) ? isbn : null;
+}
 
-  const { showPageNumbers = true, includeToc = true } = options;
-  const totalSteps = 4 + items.length + (format === "pdf" ? 1 : 0);
-  let step = 0;
-  const report = (message) => progressCb({ step: Math.min(++step, totalSteps), total: totalSteps, message });
+function cleanPublication(pub) {
+  if (!pub || typeof pub !== "object") return {};
+  const text = (v, max = 500) => String(v ?? "").trim().slice(0, max);
+  const isbn = text(pub.isbn, 40);
+  if (isbn && !normalizeIsbn(isbn)) throw new Error(`"${isbn}" is not a valid ISBN-10 or ISBN-13`);
+  const contributors = (Array.isArray(pub.contributors) ? pub.contributors : [])
+    .map(c => ({ name: text(c?.name, 200), role: CONTRIBUTOR_ROLES[c?.role] ? c.role : "ctb" }))
+    .filter(c => c.name)
+    .slice(0, 50);
+  const language = text(pub.language, 35);
+  if (language && !/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{1,8})*$/.test(language)) throw new Error(`"${language}" is not a language tag (e.g. en, en-US, fr)`);
+  return {
+    isbn,
+    publisher: text(pub.publisher, 200),
+    language,
+    rights: text(pub.rights, 1000),
+    contributors,
+    accessibilitySummary: text(pub.accessibilitySummary, 2000),
+    accessibilityHazards: pub.accessibilityHazards === "none" ? "none" : ""
+  };
+}
 
-  report("Preparing workspace");
-  const workdir = fs.mkdtempSync(path.join(TMP_DIR, `build-${project.id}-`));
-  const inputs = [];
-  const pdfSequence = []; // Ordered sequence of PDF components to merge at the end
-  let hasMarkdownContent = false; // Track if we have any markdown to render
+// Stable per project, so re-exports of the same reader are recognized as the same book
+function projectUuid(project) {
+  const h = crypto.createHash("sha1").update(`myotextbook:${project.id}`).digest("hex");
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-5${h.slice(13, 16)}-${((parseInt(h[16], 16) & 3) | 8).toString(16)}${h.slice(17, 20)}-${h.slice(20, 32)}`;
+}
 
-  // Detect available PDF engines early if we're generating PDF
+// Everything the OPF gets besides what coverDetails already provides
+function epubPublication(project, projectOptions, cover) {
+  const pub = projectOptions.publication || {};
+  const isbn = normalizeIsbn(pub.isbn);
+  const identifiers = [];
+  if (isbn) identifiers.push({ scheme: isbn.length === 13 ? "ISBN-13" : "ISBN-10", text: `urn:isbn:${isbn}` });
+  identifiers.push({ scheme: "UUID", text: `urn:uuid:${projectUuid(project)}` });
+  const keywords = Array.isArray(projectOptions.keywords) ? projectOptions.keywords : [];
+  return {
+    identifiers,
+    language: pub.language || "en",
+    publisher: pub.publisher || cover.contributors[0]?.affiliation || "",
+    rights: pub.rights || "Individual items are used under the licenses and permissions listed in the Attributions section.",
+    subjects: [...new Set(keywords.map(k => String(k).trim()).filter(Boolean))],
+    contributors: pub.contributors || [],
+    accessibilitySummary: pub.accessibilitySummary || ""
+  };
+}
+
+// schema.org accessibility properties, derived from what actually went into the book:
+// every image needs alt text before the book can claim a textual reading mode on its own.
+// Hazards can't be told from the content (an embedded animation may flash), so they stay
+// "unknown" until the project declares the book hazard-free.
+function epubAccessibilityYaml(inputs, { includeToc, includeIndex = false, summary, hazards = "" }) {
+  let images = 0;
+  let missingAlt = 0;
+  for (const file of inputs) {
+    const md = fs.readFileSync(file, "utf8");
+    for (const m of md.matchAll(/!\[([^\]]*)\]\(/g)) {
+      images++;
+      if (!m[1].trim()) missingAlt++;
+    }
+    for (const m of md.matchAll(/<img\b[^>]*>/gi)) {
+      images++;
+      if (!/\balt\s*=\s*["'][^"']*\S[^"']*["']/i.test(m[0])) missingAlt++;
+    }
+  }
+  const features = ["structuralNavigation", "readingOrder", "displayTransformability"];
+  if (includeToc) features.push("tableOfContents");
+  if (includeIndex) features.push("index");
+  if (images && !missingAlt) features.push("alternativeText");
+  const generated = [
+    "This publication is reflowable, and every part and reading starts with a heading" + (includeToc ? " listed in the navigable table of contents." : "."),
+    !images ? "It contains no images."
+      : missingAlt ? `${missingAlt} of ${images} image(s) have no text alternative.`
+      : "All images have text alternatives."
+  ].join(" ");
+  const list = (name, values) => [`${name}:`, ...values.map(v => `  - ${JSON.stringify(v)}`)];
+  return [
+    ...list("accessModes", images ? ["textual", "visual"] : ["textual"]),
+    ...list("accessModeSufficient", missingAlt ? ["textual,visual"] : ["textual"]),
+    ...list("accessibilityFeatures", features),
+    ...list("accessibilityHazards", [hazards === "none" ? "none" : "unknown"]),
+    `accessibilitySummary: ${JSON.stringify(summary || generated)}`
+  ].join("\n");
+}
+
+// EPUB navigation nests items under their heading item: the item's title becomes `level` and its own
+// headings move below it, so a chapter's items (and nothing deeper) show up as its children
+function nestItemHeadings(mdPath, level) {
+  const lines = fs.readFileSync(mdPath, "utf8").split("\n");
+  let fence = null;
+  const headings = [];
+  lines.forEach((line, i) => {
+    const f = /^\s*(```+|~~~+)/.exec(line);
+    if (f) fence = fence === null ? f[1][0] : (f[1][0] === fence ? null : fence);
+    else if (fence === null && /^#{1,6}\s/.test(line)) headings.push(i);
+  });
+  if (!headings.length) return;
+  const depth = (i) => /^#+/.exec(lines[i])[0].length;
+  const [title, ...rest] = headings;
+  const shift = rest.length ? Math.max(0, level + 1 - Math.min(...rest.map(depth))) : 0;
+  lines[title] = "#".repeat(level) + lines[title].replace(/^#+/, "");
+  for (const i of rest) lines[i] = "#".repeat(Math.min(6, depth(i) + shift)) + lines[i].replace(/^#+/, "");
+  fs.writeFileSync(mdPath, lines.join("\n"));
+}
+
+// ---- back-of-book index (project options.index = { enabled, terms: [{ term, seeAlso }] }) ----
+// Entries are the project keywords, the user's own terms and the terms marked on items
+// (item options.indexTerms). PDF entries list the pages a term is printed on; EPUB entries
+// link to its first mention in each item.
+const INDEX_MAX_TERMS = 500;
+
+function cleanIndexTerm(value) {
+  return String(value ?? "").replace(/\s+/g, " ").trim().slice(0, 100);
+}
+
+function cleanIndexTerms(list) {
+  return [...new Set((Array.isArray(list) ? list : []).map(cleanIndexTerm).filter(Boolean))].slice(0, 100);
+}
+
+function cleanIndexOptions(index) {
+  if (!index || typeof index !== "object") return { enabled: false, terms: [] };
+  const terms = (Array.isArray(index.terms) ? index.terms : [])
+    .map(t => ({ term: cleanIndexTerm(t?.term), seeAlso: cleanIndexTerms(t?.seeAlso).slice(0, 20) }))
+    .filter(t => t.term)
+    .slice(0, INDEX_MAX_TERMS);
+  return { enabled: !!index.enabled, terms };
+}
+
+// Whole words, any case, any whitespace between words (PDF text breaks lines), plus a plural -s/-es
+function indexTermPattern(term) {
+  const words = term.split(" ").map(w => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(`(?<![\\p{L}\\p{N}])${words.join("\\s+")}(?:e?s)?(?![\\p{L}\\p{N}])`, "iu");
+}
+
+// One entry per term (matched case-insensitively); see-also targets become terms of their own
+function indexTermList(projectOptions, items) {
+  const terms = new Map();
+  const add = (value, seeAlso = []) => {
+    const term = cleanIndexTerm(value);
+    if (!term) return;
+    const key = term.toLowerCase();
+    if (!terms.has(key)) terms.set(key, { term, seeAlso: new Set() });
+    for (const s of seeAlso) {
+      if (s.toLowerCase() === key) continue;
+      terms.get(key).seeAlso.add(s);
+      add(s);
+    }
+  };
+  for (const k of Array.isArray(projectOptions.keywords) ? projectOptions.keywords : []) add(k);
+  for (const t of projectOptions.index?.terms || []) add(t.term, t.seeAlso || []);
+  for (const it of items) for (const t of it.options?.indexTerms || []) add(t);
+  return [...terms.values()].slice(0, INDEX_MAX_TERMS).map(t => ({ term: t.term, seeAlso: [...t.seeAlso], pattern: indexTermPattern(t.term) }));
+}
+
+// Terms with references, alphabetically. Cross-references only name entries that are in the index;
+// a term found nowhere stays in only as "see" its cross-references.
+function indexEntries(terms) {
+  const found = new Map(terms.filter(t => t.refs.length).map(t => [t.term.toLowerCase(), t.term]));
+  return terms
+    .map(t => ({ ...t, seeAlso: t.seeAlso.map(s => found.get(s.toLowerCase())).filter(Boolean) }))
+    .filter(t => t.refs.length || t.seeAlso.length)
+    .sort((a, b) => a.term.localeCompare(b.term, undefined, { sensitivity: "base", numeric: true }));
+}
+
+function indexGroup(term) {
+  const c = term.normalize("NFD")[0].toUpperCase();
+  return /\p{L}/u.test(c) ? c : "0–9";
+}
+
+function pageRanges(pages, dash = "–") {
+  const ranges = [];
+  for (const p of [...new Set(pages)].sort((a, b) => a - b)) {
+    const last = ranges[ranges.length - 1];
+    if (last && p === last[1] + 1) last[1] = p;
+    else ranges.push([p, p]);
+  }
+  return ranges.map(([a, b]) => (a === b ? `${a}` : `${a}${dash}${b}`));
+}
+
+// Text of each page of a PDF; pdftotext ends every page with a form feed
+async function pdfPageTexts(pdfPath) {
+  const { out } = await run("pdftotext", ["-enc", "UTF-8", pdfPath, "-"]);
+  const pages = out.split("\f");
+  if (pages.length > 1 && !pages[pages.length - 1].trim()) pages.pop();
+  return pages;
+}
+
+// Which lines of a rendered page are running heads rather than text: the header line whenever a header
+// is configured, and the footer line only where something is always printed in it (a folio or the book
+// title), since an empty footer leaves the page's last line as text. Without configured heads, the engine
+// prints a plain folio at the bottom.
+function runningHeadLines(heads, { showPageNumbers = true, book = "" } = {}) {
+  if (!heads) return { top: false, bottom: showPageNumbers };
+  // "12 of 340" folios are stamped after merging, so they're not in the segment's text
+  const printed = (s) => (s.field === "page" && heads.pageStyle !== "of") || (s.field === "book" && !!book);
+  return {
+    top: heads.slots.some(s => s.band === "header"),
+    bottom: heads.slots.some(s => s.band === "footer" && printed(s))
+  };
+}
+
+// Running heads repeat the chapter and item titles on every page, so their lines don't count as mentions
+function withoutRunningHeads(text, { top, bottom }) {
+  const lines = text.split("\n").filter(l => l.trim());
+  return lines.slice(top ? 1 : 0, bottom ? -1 : undefined).join("\n");
+}
+
+// Index page for PDF exports, in the same raw LaTeX as the contents page. Entries carry refs = page numbers.
+function buildPdfIndexMarkdown(entries) {
+  const lines = [`# Index {.unnumbered .unlisted}`, ``, "```{=latex}", "\\raggedright"];
+  let group = null;
+  for (const e of entries) {
+    if (indexGroup(e.term) !== group) {
+      group = indexGroup(e.term);
+      lines.push(`\\medskip\\noindent\\textbf{${latexEscape(group)}}\\par\\nopagebreak`);
+    }
+    const pages = pageRanges(e.refs, "--").join(", ");
+    const see = e.seeAlso.length ? `${pages ? ". \\emph{See also}" : ", \\emph{see}"} ${latexEscape(e.seeAlso.join("; "))}` : "";
+    lines.push(`\\noindent\\hangindent=1.5em ${latexEscape(e.term)}${pages ? `, ${pages}` : ""}${see}\\par`);
+  }
+  lines.push("```", "");
+  return lines.join("\n");
+}
+
+function mdText(s) {
+  return String(s || "").replace(/[\\`*_[\]<>#]/g, "\\$&");
+}
+
+// Index section for EPUB exports. Entries carry refs = [{ id, label }] anchors placed by anchorIndexTerms.
+function buildEpubIndexMarkdown(entries) {
+  const lines = ["# Index", ""];
+  let group = null;
+  for (const e of entries) {
+    if (indexGroup(e.term) !== group) {
+      group = indexGroup(e.term);
+      lines.push(`## ${group} {.unnumbered .unlisted}`, "");
+    }
+    const refs = e.refs.map(r => `[${mdText(r.label)}](#${r.id})`).join(", ");
+    const see = e.seeAlso.length ? `${refs ? ". *See also*" : ", *see*"} ${mdText(e.seeAlso.join("; "))}` : "";
+    lines.push(`${mdText(e.term)}${refs ? `: ${refs}` : ""}${see}`, "");
+  }
+  return lines.join("\n");
+}
+
+// Rewrites the first mention of each term in an item's prose with wrap(text, term, n), n counting
+// from 1, and returns the terms found. Headings, tables, code, links, images, raw HTML and math are left alone.
+const PROSE_SKIP_INLINE = /(`+[^`]*`+(?:\{[^}]*\})?|!?\[[^\]]*\](?:\([^)]*\)|\{[^}]*\}|\[[^\]]*\])?|<[^>]+>|\$\$?[^$]+\$\$?|\{[^}]*\}|https?:\/\/\S+)/;
+
+function wrapFirstMentions(mdPath, terms, wrap) {
+  const lines = fs.readFileSync(mdPath, "utf8").split("\n");
+  const prose = [];
+  let fence = null;
+  lines.forEach((line, i) => {
+    const f = /^\s*(```+|~~~+)/.exec(line);
+    if (f) fence = fence === null ? f[1][0] : (f[1][0] === fence ? null : fence);
+    else if (fence === null && line.trim() && !/^\s*(#{1,6}\s|\||\+[-=]|:::|<|\\)/.test(line)) prose.push(i);
+  });
+  const found = [];
+  for (const t of terms) {
+    for (const i of prose) {
+      // Odd parts are the skipped constructs (including mentions wrapped for earlier terms)
+      const parts = lines[i].split(PROSE_SKIP_INLINE);
+      const p = parts.findIndex((part, n) => n % 2 === 0 && t.pattern.test(part));
+      if (p < 0) continue;
+      found.push(t);
+      parts[p] = parts[p].replace(t.pattern, m => wrap(m, t, found.length));
+      lines[i] = parts.join("");
+      break;
+    }
+  }
+  if (found.length) fs.writeFileSync(mdPath, lines.join("\n"));
+  return found;
+}
+
+// Anchored spans on the first mention of each index term; returns Map(term -> id)
+function anchorIndexTerms(mdPath, terms, prefix) {
+  const anchors = new Map();
+  wrapFirstMentions(mdPath, terms, (text, t, n) => {
+    anchors.set(t.term, `${prefix}-${n}`);
+    return `[${text}]{#${prefix}-${n}}`;
+  });
+  return anchors;
+}
+
+// ---- glossary items (item options.entries = [{ term, definition }]) ----
+// A glossary renders as a definition list, and the first mention of each term in every other item
+// links to its entry. PDF items are rendered as separate documents, so there the mention gets the
+// entry's page number instead, filled in by \glossaryref once the glossary has been rendered.
+const GLOSSARY_MAX_ENTRIES = 500;
+
+function cleanGlossaryEntries(entries) {
+  const seen = new Set();
+  return (Array.isArray(entries) ? entries : [])
+    .map(e => ({ term: cleanIndexTerm(e?.term), definition: String(e?.definition ?? "").trim().slice(0, 5000) }))
+    .filter(e => e.term && e.definition && !seen.has(e.term.toLowerCase()) && seen.add(e.term.toLowerCase()))
+    .slice(0, GLOSSARY_MAX_ENTRIES);
+}
+
+// Terms of every glossary item in the project (the first definition of a term wins), alphabetically
+function glossaryTerms(items) {
+  const terms = new Map();
+  const ids = new Set();
+  for (const it of items) {
+    if (it.type !== "glossary") continue;
+    for (const e of cleanGlossaryEntries(it.options?.entries)) {
+      const key = e.term.toLowerCase();
+      if (terms.has(key)) continue;
+      let id = `glossary-${slugify(e.term, "term")}`;
+      for (let n = 2; ids.has(id); n++) id = `glossary-${slugify(e.term, "term")}-${n}`;
+      ids.add(id);
+      terms.set(key, { ...e, id, itemId: it.id, pattern: indexTermPattern(e.term) });
+    }
+  }
+  return [...terms.values()].sort((a, b) => a.term.localeCompare(b.term, undefined, { sensitivity: "base", numeric: true }));
+}
+
+function glossaryMarkdown(title, terms) {
+  const lines = [`# ${title}`, ""];
+  for (const t of terms) {
+    lines.push(`[${mdText(t.term)}]{#${t.id}}`, `:   ${t.definition.split("\n").join("\n    ")}`, "");
+  }
+  return lines.join("\n");
+}
+
+function linkGlossaryTerms(mdPath, terms, { pdf = false } = {}) {
+  return wrapFirstMentions(mdPath, terms, (text, t) => (pdf ? `${text}\`\\glossaryref{${t.id}}\`{=latex}` : `[${text}](#${t.id})`));
+}
+
+// Header include for PDF body segments; pages maps entry ids to page numbers ("?" until known)
+function writeGlossaryPagesTex(file, pages) {
+  const lines = [
+    "\\newcommand{\\glossaryref}[1]{\\textsuperscript{\\,(p.\\,\\ifcsname glossarypage@#1\\endcsname\\csname glossarypage@#1\\endcsname\\else ?\\fi)}}",
+    ...[...pages].map(([id, page]) => `\\expandafter\\def\\csname glossarypage@${id}\\endcsname{${page}}`)
+  ];
+  fs.writeFileSync(file, lines.join("\n") + "\n");
+}
+
+// Page of each entry in a rendered glossary: definition lists start a line with the term, and entries
+// come in order, so each is looked for from the previous entry's page on. A chapter heading right
+// before the glossary shares its segment, so the search starts after the glossary's title.
+function glossaryEntryPages(pageTexts, terms, firstPage, title) {
+  const pages = new Map();
+  const titlePattern = indexTermPattern(String(title || "").trim().replace(/\s+/g, " "));
+  let n = Math.max(0, pageTexts.findIndex(text => titlePattern.test(text)));
+  const texts = pageTexts.map((text, i) => {
+    const m = i === n ? titlePattern.exec(text) : null;
+    return m ? text.slice(m.index + m[0].length) : text;
+  });
+  for (const t of terms) {
+    const atLineStart = new RegExp(`^\\s*${t.pattern.source}`, "imu");
+    const found = texts.findIndex((text, i) => i >= n && atLineStart.test(text));
+    if (found >= 0) n = found;
+    pages.set(t.id, firstPage + n);
+  }
+  return pages;
+}
+
+// Fragment links whose target id is on another page of a one-page-per-item export (glossary links)
+// get that page's file name; pages are { name, html }
+function linkAcrossPages(pages) {
+  const owner = new Map();
+  for (const p of pages) {
+    for (const m of p.html.matchAll(/\sid="([^"]+)"/g)) if (!owner.has(m[1])) owner.set(m[1], p.name);
+  }
+  for (const p of pages) {
+    p.html = p.html.replace(/href="#([^"]+)"/g, (m, id) => (owner.has(id) && owner.get(id) !== p.name ? `href="${owner.get(id)}#${id}"` : m));
+  }
+}
+
+// ---- text items (markdown written in the editor, stored in items.body_md) ----
+// Pandoc markdown with footnotes and links, plus GitHub-style callouts ("> [!NOTE]" blockquotes,
+// optionally with a title after the marker), which become titled boxes.
+const TEXT_ITEM_MAX_CHARS = 200000;
+const CALLOUT_TYPES = { note: "Note", tip: "Tip", important: "Important", warning: "Warning", caution: "Caution" };
+const CALLOUT_CSS = `
+.callout { border-left: 4px solid #1565c0; background: #f5f7fa; padding: .5em 1em; margin: 1em 0; }
+.callout-tip { border-left-color: #2e7d32; }
+.callout-important { border-left-color: #6a1b9a; }
+.callout-warning { border-left-color: #ef6c00; }
+.callout-caution { border-left-color: #c62828; }
+`;
+
+// Markdown typed by users is read with raw TeX, raw HTML and TeX math switched off, so nothing in it
+// reaches LaTeX or the HTML output verbatim (\input{/etc/passwd}, <img src="/app/.env">). What is left
+// is written back out as plain Pandoc markdown; Pandoc escapes anything that would be markup.
+const USER_MARKDOWN_READER = "markdown-raw_tex-raw_html-raw_attribute-tex_math_dollars-latex_macros";
+
+// Image targets that are local files outside the export (absolute paths, "..", file: URLs)
+function unsafeImageTarget(src) {
+  const target = String(src || "").trim();
+  if (/^(https?:|data:image\/)/i.test(target)) return false;
+  return /^([a-z][a-z0-9+.-]*:|[\\/~])/i.test(target) || target.split(/[\\/]/).includes("..");
+}
+
+// Raw blocks and math become code, unsafe images become their alt text
+function sanitizeUserAst(node) {
+  if (Array.isArray(node)) return node.map(sanitizeUserAst);
+  if (!node || typeof node !== "object") return node;
+  const noAttr = ["", [], []];
+  if (node.t === "RawBlock") return { t: "CodeBlock", c: [noAttr, node.c[1]] };
+  if (node.t === "RawInline") return { t: "Code", c: [noAttr, node.c[1]] };
+  if (node.t === "Math") return { t: "Code", c: [noAttr, node.c[1]] };
+  if (node.t === "Image" && unsafeImageTarget(node.c[2][0])) {
+    console.warn(`⚠ Dropped image with a local file target: ${node.c[2][0]}`);
+    return { t: "Span", c: [noAttr, sanitizeUserAst(node.c[1])] };
+  }
+  return Object.fromEntries(Object.entries(node).map(([k, v]) => [k, sanitizeUserAst(v)]));
+}
+
+// Safe Pandoc markdown for user-written markdown. idPrefix goes in front of footnote labels, because
+// every item ends up in one Pandoc document and two items' [^1] would otherwise collide.
+async function sanitizeUserMarkdown(md, workdir, name, { idPrefix = "" } = {}) {
+  const srcPath = mdFile(workdir, `${name}-source.md`, md);
+  const { out } = await run("pandoc", [srcPath, "-f", USER_MARKDOWN_READER, "-t", "json"]);
+  const ast = sanitizeUserAst(JSON.parse(out));
+  const jsonPath = path.join(workdir, `${name}-source.json`);
+  fs.writeFileSync(jsonPath, JSON.stringify(ast));
+  const args = [jsonPath, "-f", "json", "-t", "markdown", "--wrap=preserve"];
+  if (idPrefix) args.push(`--id-prefix=${idPrefix}`);
+  return (await run("pandoc", args)).out;
+}
+
+// PDF callouts: LaTeX ignores fenced divs, so the callout divs Pandoc wrote back out are swapped
+// for raw LaTeX around their content (after sanitizing, so these are the only raw blocks). An
+// indented quote between two rules can break across pages, unlike a framed box.
+function calloutsToLatex(md) {
+  const open = [];
+  let fence = null;
+  return md.split("\n").map(line => {
+    const f = /^\s*(`{3,}|~{3,})/.exec(line);
+    if (f) fence = fence === null ? f[1][0] : (f[1][0] === fence ? null : fence);
+    if (fence !== null || f) return line;
+    if (/^:{3,}\s*$/.test(line) && open.length) {
+      return open.pop() === "callout" ? "\n```{=latex}\n\\par\\noindent\\rule{\\linewidth}{0.4pt}\n\\end{quote}\n```" : line;
+    }
+    const start = /^:{3,}\s*(?:(\{\.callout \.callout-\w+\})\s*$|\S)/.exec(line);
+    if (!start) return line;
+    open.push(start[1] ? "callout" : "div");
+    return start[1] ? "```{=latex}\n\\begin{quote}\n\\noindent\\rule{\\linewidth}{0.4pt}\\par\n```\n" : line;
+  }).join("\n");
+}
+
+// Export markdown of a text item: callouts become fenced divs (ruled quotes in PDF), then the
+// whole text is sanitized like any user-written markdown
+async function textItemMarkdown(it, { pdf = false, workdir }) {
+  const lines = String(it.body_md || "").replace(/\r\n?/g, "\n").split("\n");
+  const out = [`# ${it.title}`, ""];
+  let fence = null;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const f = /^\s*(```+|~~~+)/.exec(line);
+    if (f) fence = fence === null ? f[1][0] : (f[1][0] === fence ? null : fence);
+    const callout = fence === null && !f ? /^>\s*\[!(\w+)\][ \t]*(.*)$/.exec(line) : null;
+    const kind = callout?.[1].toLowerCase();
+    if (!CALLOUT_TYPES[kind]) { out.push(line); continue; }
+    const body = [];
+    while (i + 1 < lines.length && /^>/.test(lines[i + 1])) body.push(lines[++i].replace(/^>\s?/, ""));
+    out.push("", `::: {.callout .callout-${kind}}`, `**${callout[2].trim() || CALLOUT_TYPES[kind]}**`, "", ...body, ":::", "");
+  }
+  const md = await sanitizeUserMarkdown(out.join("\n") + "\n", workdir, `text-${it.id}`, { idPrefix: `${it.id}-` });
+  return pdf ? calloutsToLatex(md) : md;
+}
+
+// ---- citations (project options.citationStyle) ----
+// Styles come from CSL_DIR when the files are there (the Docker image bundles them), otherwise they
+// are downloaded once from the Zotero style repository into CSL_DIR. Pandoc only ever gets a local
+// file; when the download fails, the export uses the Chicago author-date style built into Pandoc.
+const CSL_DIR = process.env.CSL_DIR || path.join(__dirname, "csl");
+const CSL_DOWNLOAD_TIMEOUT_MS = 15000;
+const CITATION_STYLES = {
+  apa:     { label: "APA (7th edition)",  file: "apa.csl" },
+  mla:     { label: "MLA (9th edition)",  file: "modern-language-association.csl" },
+  chicago: { label: "Chicago (author-date)", file: "chicago-author-date.csl", builtin: true },
+  ieee:    { label: "IEEE",               file: "ieee.csl" }
+};
+
+// One download per style at a time, shared by exports that need it together
+const cslDownloads = new Map();
+function downloadCslStyle(file) {
+  if (!cslDownloads.has(file)) {
+    const url = `https://www.zotero.org/styles/${file.replace(/\.csl$/, "")}`;
+    const dest = path.join(CSL_DIR, file);
+    const download = (async () => {
+      const res = await fetch(url, { headers: { "User-Agent": USER_AGENT }, signal: AbortSignal.timeout(CSL_DOWNLOAD_TIMEOUT_MS) });
+      if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+      const xml = await res.text();
+      if (!/<style\b/.test(xml)) throw new Error("not a CSL style");
+      fs.mkdirSync(CSL_DIR, { recursive: true });
+      const tmp = `${dest}.${nanoid(6)}.tmp`;
+      fs.writeFileSync(tmp, xml);
+      fs.renameSync(tmp, dest);
+      console.log(`✓ Downloaded citation style ${file} to ${CSL_DIR}`);
+      return dest;
+    })().finally(() => cslDownloads.delete(file));
+    cslDownloads.set(file, download);
+  }
+  return cslDownloads.get(file);
+}
+
+async function citationStyleArgs(style) {
+  const entry = CITATION_STYLES[style] || CITATION_STYLES.chicago;
+  const local = path.join(CSL_DIR, entry.file);
+  if (fs.existsSync(local)) return ["--csl", local];
+  if (entry.builtin) return [];
+  try {
+    return ["--csl", await downloadCslStyle(entry.file)];
+  } catch (err) {
+    console.warn(`⚠ Could not download citation style ${entry.file}; using Chicago author-date:`, err.message);
+    return [];
+  }
+}
+
+// "Doe, Jane" / "Jane Q. Doe" become family/given names; organisations and odd strings stay literal
+function cslName(name) {
+  const text = String(name || "").trim();
+  const comma = /^([^,]+),\s*(.+)$/.exec(text);
+  if (comma) return { family: comma[1].trim(), given: comma[2].trim() };
+  const words = text.split(/\s+/);
+  if (words.length < 2 || words.length > 4 || /contributors|university|press|inc\.?$|ltd\.?$|foundation/i.test(text)) return { literal: text };
+  return { family: words[words.length - 1], given: words.slice(0, -1).join(" ") };
+}
+
+function cslDate(s) {
+  const iso = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/.exec(String(s || ""));
+  if (!iso) return s ? { raw: String(s) } : undefined;
+  return { "date-parts": [[iso[1], iso[2], iso[3]].filter(Boolean).map(Number)] };
+}
+
+// CSL-JSON for one source entry { id, kind: wiki|web|image|upload, title, url, accessed, revision, bib }
+function cslReference(entry) {
+  const bib = entry.bib || {};
+  const type = { wiki: "entry-encyclopedia", web: "webpage", image: "graphic" }[entry.kind] || (bib.doi ? "article-journal" : "document");
+  const ref = { id: entry.id, type, title: entry.title || "(Untitled)" };
+  if ((bib.authors || []).length) ref.author = bib.authors.map(cslName);
+  if (bib.publisher) ref[entry.kind === "web" || entry.kind === "wiki" ? "container-title" : "publisher"] = bib.publisher;
+  if (bib.issued) ref.issued = cslDate(bib.issued);
+  if (bib.doi) ref.DOI = bib.doi;
+  if (entry.url) ref.URL = entry.url;
+  if (entry.accessed) ref.accessed = cslDate(entry.accessed);
+  if (entry.revision) ref.note = `Revision ${entry.revision}`;
+  return ref;
+}
+
+// Formats the entries with Pandoc citeproc into plain Markdown (no divs or spans) for the attribution page
+async function renderBibliography(entries, style, workdir, name) {
+  const refsPath = path.join(workdir, `${name}-refs.json`);
+  fs.writeFileSync(refsPath, JSON.stringify(entries.map(cslReference), null, 2));
+  const srcPath = path.join(workdir, `${name}-refs.src`);
+  fs.writeFileSync(srcPath, "---\nnocite: |\n  @*\n---\n");
+  const outPath = path.join(workdir, `${name}-refs.out`);
+  await run("pandoc", [
+    srcPath, "-f", "markdown", "--citeproc", "--bibliography", refsPath, ...(await citationStyleArgs(style)),
+    "-t", "markdown-citations-fenced_divs-native_divs-bracketed_spans-native_spans-raw_html", "--wrap=none", "-o", outPath
+  ]);
+  return fs.readFileSync(outPath, "utf8").trim();
+}
+
+function metaYaml(workdir, { title, showPageNumbers, includeToc = true, format, cover = null, publication = null }) {
+  const lines = [
+    `lang: ${JSON.stringify(publication?.language || "en")}`,
+  ];
+
+  // E-readers show these in their library view (the cover image itself goes in as --epub-cover-image)
+  if (format === "epub" && cover) {
+    lines.push(`title: ${JSON.stringify(cover.title)}`);
+    if (cover.subtitle) lines.push(`subtitle: ${JSON.stringify(cover.subtitle)}`);
+    lines.push(`creator:`);
+    for (const c of cover.contributors) {
+      lines.push(`  - role: ${c.role === "Compiled by" ? "edt" : "aut"}`, `    text: ${JSON.stringify(c.name)}`);
+    }
+    lines.push(`date: ${JSON.stringify(cover.isoDate)}`);
+    lines.push(`description: ${JSON.stringify([cover.subtitle, cover.courseCode, cover.edition].filter(Boolean).join(" — "))}`);
+  }
+  if (format === "epub" && publication) {
+    lines.push(`identifier:`);
+    for (const id of publication.identifiers) lines.push(`  - scheme: ${id.scheme}`, `    text: ${JSON.stringify(id.text)}`);
+    if (publication.contributors.length) {
+      lines.push(`contributor:`);
+      for (const c of publication.contributors) lines.push(`  - role: ${c.role}`, `    text: ${JSON.stringify(c.name)}`);
+    }
+    if (publication.publisher) lines.push(`publisher: ${JSON.stringify(publication.publisher)}`);
+    lines.push(`rights: ${JSON.stringify(publication.rights)}`);
+    if (publication.subjects.length) {
+      lines.push(`subject:`);
+      for (const s of publication.subjects) lines.push(`  - ${JSON.stringify(s)}`);
+    }
+  }
+  
+  // PDF exports get a generated contents page with measured page numbers (see buildTocMarkdown),
+  // so Pandoc's own per-batch TOC is only used for the other formats. The EPUB navigation stops
+  // at items (see nestItemHeadings) rather than listing every heading inside them.
+  if (includeToc && format !== "pdf") {
+    lines.push(`toc: true`);
+    lines.push(`toc-depth: ${format === "epub" ? 2 : 3}`);
+  }
+  
+  if (!showPageNumbers) {
+    lines.push(`header-includes: |`);
+    lines.push(`  \\pagenumbering{gobble}`);
+  }
+  
+  const p = path.join(workdir, "meta.yaml");
+  fs.writeFileSync(p, lines.join("\n"));
+  return p;
+}
+
+function mdFile(workdir, name, content) {
+  const p = path.join(workdir, name);
+  fs.writeFileSync(p, content);
+  return p;
+}
+
+const LATEX_SPECIALS = { "\\": "\\textbackslash{}", "~": "\\textasciitilde{}", "^": "\\textasciicircum{}" };
+function latexEscape(s) {
+  return String(s || "").replace(/[\\#$%&_{}~^]/g, c => LATEX_SPECIALS[c] || `\\${c}`);
+}
+
+// Contents page for PDF exports. Entries are { title, level, page } where page is the
+// 1-based page in the merged PDF (or a placeholder while measuring the TOC's own length).
+function buildTocMarkdown(entries, { showPageNumbers = true } = {}) {
+  const lines = [`# Contents {.unnumbered .unlisted}`, ``, "```{=latex}"];
+  for (const e of entries) {
+    const indent = e.level > 1 ? `\\hspace*{${(e.level - 1) * 1.5}em}` : "";
+    const title = e.level > 1 ? latexEscape(e.title) : `\\textbf{${latexEscape(e.title)}}`;
+    const page = showPageNumbers && e.page != null ? `\\dotfill ${e.page}` : "";
+    lines.push(`\\noindent${indent}${title}${page}\\par`);
+  }
+  lines.push("```", "");
+  return lines.join("\n");
+}
+
+// ---- print profiles (project options.print = { profile, mirrorMargins, bleed, cropMarks }) ----
+// Sizes and margins in inches. "inner" is the binding side when margins are mirrored.
+const PRINT_PROFILES = {
+  letter:    { label: "US Letter (8.5 × 11 in)", width: 8.5,  height: 11,    inner: 1,     outer: 1,    top: 1,    bottom: 1 },
+  a4:        { label: "A4 (210 × 297 mm)",       width: 8.27, height: 11.69, inner: 1,     outer: 1,    top: 1,    bottom: 1 },
+  trade6x9:  { label: "Trade 6 × 9 in",          width: 6,    height: 9,     inner: 0.875, outer: 0.625, top: 0.75, bottom: 0.75 },
+  trade7x10: { label: "Trade 7 × 10 in",         width: 7,    height: 10,    inner: 0.875, outer: 0.75,  top: 0.75, bottom: 0.75 }
+};
+const BLEED_IN = 0.125;
+const CROP_MARK_SPACE_IN = 0.5;
+
+// Resolved page layout for a project's print options, or null for the plain default (1in margins, engine paper size)
+function printLayout(print) {
+  const profile = PRINT_PROFILES[print?.profile];
+  if (!profile) return null;
+  const bleed = print.bleed ? BLEED_IN : 0;
+  // Crop marks sit outside the bleed, so the sheet grows enough to hold them
+  const offset = print.cropMarks ? CROP_MARK_SPACE_IN : bleed;
+  return { ...profile, mirror: !!print.mirrorMargins, bleed, cropMarks: !!print.cropMarks, offset };
+}
+
+// Pandoc arguments that set trim size and margins for LaTeX engines; the crop package then
+// centres the trim on a larger sheet when bleed or crop marks are requested.
+function printGeometryArgs(layout, workdir) {
+  if (!layout) return ["-V", "geometry:margin=1in"];
+  const geometry = [
+    `paperwidth=${layout.width}in`,
+    `paperheight=${layout.height}in`,
+    `top=${layout.top}in`,
+    `bottom=${layout.bottom}in`,
+    ...(layout.mirror ? ["twoside", `inner=${layout.inner}in`, `outer=${layout.outer}in`] : [`left=${layout.inner}in`, `right=${layout.outer}in`])
+  ];
+  const args = geometry.flatMap(g => ["-V", `geometry:${g}`]);
+  if (layout.offset > 0) {
+    const sheetW = layout.width + 2 * layout.offset;
+    const sheetH = layout.height + 2 * layout.offset;
+    const header = path.join(workdir, "print-crop.tex");
+    fs.writeFileSync(header, `\\usepackage[width=${sheetW}in,height=${sheetH}in,center,${layout.cropMarks ? "cam,noinfo" : "off"}]{crop}\n`);
+    args.push("--include-in-header", header);
+  }
+  return args;
+}
+
+// ---- running headers and footers (project options.runningHeads) ----
+// { header: { left, center, right }, footer: { left, center, right }, pageStyle } where each slot names
+// one of RUNNING_HEAD_FIELDS and pageStyle picks how the "page" field reads.
+const RUNNING_HEAD_FIELDS = ["book", "chapter", "item", "source", "page"];
+const RUNNING_PAGE_STYLES = ["plain", "p", "of"]; // "12", "p. 12", "12 of 340"
+
+// Resolved slots, or null to keep the engine's plain centred page number
+function runningHeadsLayout(opts, { showPageNumbers = true } = {}) {
+  if (!opts || typeof opts !== "object") return null;
+  const slots = [];
+  for (const band of ["header", "footer"]) {
+    for (const pos of ["left", "center", "right"]) {
+      const field = opts[band]?.[pos];
+      if (!RUNNING_HEAD_FIELDS.includes(field)) continue;
+      if (field === "page" && !showPageNumbers) continue;
+      slots.push({ band, pos, field });
+    }
+  }
+  if (!slots.length) return null;
+  const pageStyle = RUNNING_PAGE_STYLES.includes(opts.pageStyle) ? opts.pageStyle : "plain";
+  return { slots, pageStyle, needsTotal: pageStyle === "of" && slots.some(s => s.field === "page") };
+}
+
+function formatRunningPage(style, page, total) {
+  if (style === "p") return `p. ${page}`;
+  if (style === "of") return `${page} of ${total ?? "?"}`;
+  return String(page);
+}
+
+// The running source for an item: the site it came from, or its title for uploads
+function runningSource(it) {
+  if (it.type === "wikipedia" || (it.source_url && isWikipedia(it.source_url))) return "Wikipedia";
+  try {
+    if (it.source_url) return new URL(it.source_url).hostname.replace(/^www\./, "");
+  } catch {}
+  return it.title || "";
+}
+
+// LaTeX marks for where a chapter or item starts. The item and its source travel together in the
+// right mark, and \runningitem / \runningsource pick one of the two when the page is shipped out.
+function runningMarkMarkdown(chapter, item = "", source = "") {
+  return "```{=latex}\n" +
+    `\\markboth{${latexEscape(chapter)}}{\\protect\\runninghead{${latexEscape(item)}}{${latexEscape(source)}}}\n` +
+    "```\n";
+}
+
+// fancyhdr header for the configured slots. "12 of 340" folios are left out here and stamped on the
+// merged PDF, where the total page count is known.
+function writeRunningHeadsTex(file, heads, { book, mirror }) {
+  const field = {
+    book: latexEscape(book),
+    chapter: "\\leftmark",
+    item: "\\runningitem",
+    source: "\\runningsource",
+    page: { plain: "\\thepage", p: "p.~\\thepage" }[heads.pageStyle]
+  };
+  const lines = [
+    "\\usepackage{fancyhdr}",
+    "\\pagestyle{fancy}",
+    "\\fancyhf{}",
+    "\\renewcommand{\\headrulewidth}{0pt}",
+    "\\setlength{\\headheight}{14pt}",
+    // Headings must not overwrite the marks set for each chapter and item
+    "\\renewcommand{\\sectionmark}[1]{}",
+    "\\renewcommand{\\subsectionmark}[1]{}",
+    "\\newcommand{\\runninghead}[2]{#1}",
+    "\\newcommand{\\runningitem}{{\\def\\runninghead##1##2{##1}\\rightmark}}",
+    "\\newcommand{\\runningsource}{{\\def\\runninghead##1##2{##2}\\rightmark}}"
+  ];
+  const place = { left: mirror ? "LO,RE" : "L", center: "C", right: mirror ? "RO,LE" : "R" };
+  for (const slot of heads.slots) {
+    if (!field[slot.field]) continue;
+    const cmd = slot.band === "header" ? "fancyhead" : "fancyfoot";
+    lines.push(`\\${cmd}[${place[slot.pos]}]{\\small ${field[slot.field]}}`);
+  }
+  fs.writeFileSync(file, lines.join("\n") + "\n");
+  return file;
+}
+
+function buildPandocArgs({ meta, workdir, cssPath, includeToc, format, engine, outPath, inputs, beforeBody, referenceDoc, layout = null, latexArgs = [], coverImage = null }) {
+  const args = ["--metadata-file", meta, "--resource-path", workdir, ...(includeToc ? ["--toc"] : [])];
+  if (beforeBody) args.push("--include-before-body", beforeBody);
+  if (format === "pdf") {
+    if (engine) args.push("--pdf-engine", engine);
+    if (engine !== "wkhtmltopdf") args.push(...printGeometryArgs(layout, workdir), ...latexArgs);
+  } else if (format === "docx") {
+    if (referenceDoc) args.push("--reference-doc", referenceDoc);
+  } else {
+    args.push("--css", cssPath);
+    if (format === "epub" && coverImage) args.push("--epub-cover-image", coverImage);
+    if (format === "epub") args.push("--mathml");
+  }
+  args.push("-o", outPath, ...inputs);
+  return args;
+}
+
+// ---- static website export ----
+function htmlEscape(s) {
+  return String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+function slugify(s, fallback = "page") {
+  const slug = String(s || "").normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").substring(0, 60);
+  return slug || fallback;
+}
+
+const SITE_CSS = `
+* { box-sizing: border-box; }
+body { margin: 0; display: flex; font-family: Georgia, "Times New Roman", serif; color: #111; line-height: 1.6; }
+nav.sidebar { width: 18rem; flex-shrink: 0; height: 100vh; position: sticky; top: 0; overflow-y: auto; padding: 1rem; background: #f5f5f5; border-right: 1px solid #ddd; font-family: system-ui, sans-serif; font-size: .9rem; }
+nav.sidebar .book-title { display: block; font-weight: bold; font-size: 1.05rem; color: #b91c1c; text-decoration: none; margin-bottom: .75rem; }
+nav.sidebar ul { list-style: none; padding-left: 0; margin: 0; }
+nav.sidebar ul ul { padding-left: 1rem; }
+nav.sidebar li { margin: .2rem 0; }
+nav.sidebar a { color: #222; text-decoration: none; }
+nav.sidebar a:hover { text-decoration: underline; }
+nav.sidebar .chapter > a { font-weight: bold; }
+nav.sidebar .current > a { color: #b91c1c; }
+#search { width: 100%; padding: .35rem .5rem; margin-bottom: .5rem; border: 1px solid #ccc; border-radius: 4px; }
+#search-results { margin-bottom: 1rem !important; }
+#search-results .snippet { color: #555; font-size: .8rem; }
+main { flex: 1; max-width: 48rem; padding: 2rem 3rem; }
+main img { max-width: 100%; height: auto; }
+main table { border-collapse: collapse; }
+main td, main th { border: 1px solid #ddd; padding: .25rem .5rem; }
+${CALLOUT_CSS.trim()}
+.pager { display: flex; justify-content: space-between; margin-top: 3rem; padding-top: 1rem; border-top: 1px solid #ddd; font-family: system-ui, sans-serif; }
+@media (max-width: 800px) { body { display: block; } nav.sidebar { width: auto; height: auto; position: static; } main { padding: 1rem; } }
+`;
+
+const SITE_SEARCH_JS = `(() => {
+  const input = document.getElementById("search");
+  const results = document.getElementById("search-results");
+  if (!input || !results) return;
+  input.addEventListener("input", () => {
+    const q = input.value.trim().toLowerCase();
+    results.innerHTML = "";
+    if (q.length < 2) return;
+    for (const p of window.SEARCH_INDEX || []) {
+      const at = p.text.toLowerCase().indexOf(q);
+      if (at < 0 && !p.title.toLowerCase().includes(q)) continue;
+      const li = document.createElement("li");
+      const a = document.createElement("a");
+      a.href = p.url;
+      a.textContent = p.title;
+      li.append(a);
+      if (at >= 0) {
+        const snippet = document.createElement("div");
+        snippet.className = "snippet";
+        snippet.textContent = "…" + p.text.slice(Math.max(0, at - 40), at + 80) + "…";
+        li.append(snippet);
+      }
+      results.append(li);
+      if (results.children.length >= 20) break;
+    }
+  });
+})();
+`;
+
+// Copies local files referenced by rendered pages into mediaDir (once each) and returns the
+// URL the page should use instead. copier.files lists the copied names.
+function createMediaCopier(mediaDir, urlPrefix) {
+  const copied = new Map(); // absolute source -> copied file name
+  const copier = (absPath) => {
+    if (!copied.has(absPath)) {
+      let name = path.basename(absPath);
+      if ([...copied.values()].includes(name)) name = `${nanoid(6)}-${name}`;
+      fs.copyFileSync(absPath, path.join(mediaDir, name));
+      copied.set(absPath, name);
+    }
+    return urlPrefix + copied.get(absPath);
+  };
+  Object.defineProperty(copier, "files", { get: () => [...copied.values()] });
+  return copier;
+}
+
+// Render one item's markdown file to an HTML fragment, rewriting local image sources through copyMedia
+async function renderItemHtml(mdPath, workdir, copyMedia) {
+  const fragPath = mdPath.replace(/\.md$/, "") + "-fragment.html";
+  await run("pandoc", [mdPath, "-f", "markdown", "-t", "html5", "--mathml", "--resource-path", workdir, "-o", fragPath]);
+  const doc = new JSDOM(fs.readFileSync(fragPath, "utf8")).window.document;
+  doc.querySelectorAll("img[src]").forEach(img => {
+    const src = img.getAttribute("src");
+    if (/^(https?:|data:)/i.test(src) || src.startsWith("//")) return;
+    // Everything an export embeds was copied into workdir first; any other local path is dropped
+    let abs;
+    try { abs = path.resolve(workdir, decodeURI(src)); } catch { abs = null; }
+    const root = path.resolve(workdir) + path.sep;
+    if (abs && abs.startsWith(root) && fs.existsSync(abs)) img.setAttribute("src", copyMedia(abs));
+    else img.remove();
+  });
+  return { html: doc.body.innerHTML, text: doc.body.textContent.replace(/\s+/g, " ").trim() };
+}
+
+// Zip-ready static site: one page per item, a sidebar nested by heading items, copied local
+// images and a client-side search index (a .js file so it also works when opened from disk).
+// pages are { title, level, isHeading, mdPath } in reading order.
+async function buildHtmlSite({ siteDir, workdir, title, subtitle, pages, attributionPath }) {
+  const mediaDir = path.join(siteDir, "media");
+  fs.mkdirSync(mediaDir, { recursive: true });
+
+  const entries = pages.map((p, i) => ({ ...p, file: `${String(i + 1).padStart(3, "0")}-${slugify(p.title)}.html` }));
+  if (attributionPath) entries.push({ title: "Attributions", level: 1, isHeading: false, mdPath: attributionPath, file: "attributions.html" });
+
+  function navHtml(currentFile) {
+    const li = (e) => {
+      const cls = [e.isHeading ? "chapter" : "", e.file === currentFile ? "current" : ""].filter(Boolean).join(" ");
+      return `<li${cls ? ` class="${cls}"` : ""}><a href="${e.file}">${htmlEscape(e.title)}</a>`;
+    };
+    let html = "<ul>";
+    for (let i = 0; i < entries.length; i++) {
+      if (entries[i].level > 1) continue; // rendered under their heading below
+      html += li(entries[i]);
+      const children = [];
+      for (let j = i + 1; j < entries.length && entries[j].level > 1; j++) children.push(entries[j]);
+      if (children.length) html += `<ul>${children.map(c => `${li(c)}</li>`).join("")}</ul>`;
+      html += "</li>";
+    }
+    return html + "</ul>";
+  }
+
+  function pageHtml(pageTitle, currentFile, body, prev, next) {
+    const pager = (prev || next)
+      ? `<footer class="pager"><span>${prev ? `<a href="${prev.file}">← ${htmlEscape(prev.title)}</a>` : ""}</span><span>${next ? `<a href="${next.file}">${htmlEscape(next.title)} →</a>` : ""}</span></footer>`
+      : "";
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width, initial-scale=1"/>
+<title>${htmlEscape(pageTitle === title ? title : `${pageTitle} — ${title}`)}</title>
+<link rel="stylesheet" href="site.css"/>
+</head>
+<body>
+<nav class="sidebar">
+<a class="book-title" href="index.html">${htmlEscape(title)}</a>
+<input id="search" type="search" placeholder="Search…" aria-label="Search"/>
+<ul id="search-results"></ul>
+${navHtml(currentFile)}
+</nav>
+<main>
+${body}
+${pager}
+</main>
+<script src="search-index.js"></script>
+<script src="search.js"></script>
+</body>
+</html>
+`;
+  }
+
+  const copyMedia = createMediaCopier(mediaDir, "media/");
+  const searchIndex = [];
+  const rendered = [];
+  for (const e of entries) {
+    const { html, text } = await renderItemHtml(e.mdPath, workdir, copyMedia);
+    searchIndex.push({ url: e.file, title: e.title, text: text.substring(0, 20000) });
+    rendered.push({ name: e.file, html });
+  }
+  linkAcrossPages(rendered);
+  for (let i = 0; i < entries.length; i++) {
+    const e = entries[i];
+    fs.writeFileSync(path.join(siteDir, e.file), pageHtml(e.title, e.file, rendered[i].html, entries[i - 1], entries[i + 1]));
+  }
+
+  const contents = entries.map(e => `<li${e.level > 1 ? ` style="margin-left:1.5rem"` : ""}><a href="${e.file}">${htmlEscape(e.title)}</a></li>`).join("\n");
+  const indexBody = `<h1>${htmlEscape(title)}</h1>\n${subtitle ? `<p class="subtitle"><em>${htmlEscape(subtitle)}</em></p>\n` : ""}<h2>Contents</h2>\n<ul>\n${contents}\n</ul>`;
+  fs.writeFileSync(path.join(siteDir, "index.html"), pageHtml(title, "index.html", indexBody, null, entries[0]));
+  fs.writeFileSync(path.join(siteDir, "site.css"), SITE_CSS);
+  fs.writeFileSync(path.join(siteDir, "search.js"), SITE_SEARCH_JS);
+  fs.writeFileSync(path.join(siteDir, "search-index.js"), `window.SEARCH_INDEX = ${JSON.stringify(searchIndex)};\n`);
+  return entries.length + 1;
+}
+
+// Rights statement for one item, shown on its page and stored in the cartridge's LOM metadata
+function describeItemSource(it, accessedDate) {
+  if (!it) return null;
+  if (it.type === "wikipedia" || (it.source_url && isWikipedia(it.source_url))) {
+    return { text: `From Wikipedia, available under the Creative Commons Attribution-ShareAlike License (CC BY-SA). Accessed ${accessedDate}.`, url: it.source_url };
+  }
+  if (it.source_url) return { text: `Source: ${it.source_url} (accessed ${accessedDate}).`, url: it.source_url };
+  if (it.local_path) return { text: `Uploaded file: ${it.title || path.basename(it.local_path)}.`, url: null };
+  return null;
+}
+
+// IMS Common Cartridge 1.1 package: heading items become modules, every other item becomes a
+// web content page inside the current module. pages are { title, isHeading, mdPath, item, source, attachment }.
+async function buildCommonCartridge({ ccDir, workdir, title, description, rights, pages, attributionPath }) {
+  const pagesDir = path.join(ccDir, "pages");
+  const mediaDir = path.join(ccDir, "web_resources", "media");
+  fs.mkdirSync(pagesDir, { recursive: true });
+  fs.mkdirSync(mediaDir, { recursive: true });
+  const copyMedia = createMediaCopier(mediaDir, "../web_resources/media/");
+
+  // Group pages into modules; items ahead of the first heading go in a module named after the book
+  const modules = [];
+  for (const p of pages) {
+    if (p.isHeading) { modules.push({ title: p.title, pages: [] }); continue; }
+    if (!modules.length) modules.push({ title, pages: [] });
+    modules[modules.length - 1].pages.push(p);
+  }
+  if (attributionPath) modules.push({ title: "Attributions", pages: [{ title: "Attributions", mdPath: attributionPath, source: null }] });
+
+  const resources = [];
+  const organization = [];
+  const rendered = [];
+  let n = 0;
+  for (const [m, mod] of modules.entries()) {
+    const children = [];
+    for (const p of mod.pages) {
+      const id = `res_${++n}`;
+      const href = `pages/${String(n).padStart(3, "0")}-${slugify(p.title)}.html`;
+      const used = new Set();
+      const copy = (abs) => { const url = copyMedia(abs); used.add(url); return url; };
+      let { html } = await renderItemHtml(p.mdPath, workdir, copy);
+      if (p.attachment && fs.existsSync(p.attachment)) {
+        html += `\n<p><a href="${htmlEscape(copy(p.attachment))}">Download the original PDF</a></p>`;
+      }
+      if (p.source) {
+        html += `\n<hr/>\n<p class="source"><small>${p.source.url ? htmlEscape(p.source.text).replace(htmlEscape(p.source.url), `<a href="${htmlEscape(p.source.url)}">${htmlEscape(p.source.url)}</a>`) : htmlEscape(p.source.text)}</small></p>`;
+      }
+      rendered.push({ name: path.basename(href), href, title: p.title, html });
+      resources.push({ id, href, source: p.source, media: [...used].map(u => `web_resources/media/${path.basename(u)}`) });
+      children.push(`          <item identifier="item_${n}" identifierref="${id}">\n            <title>${htmlEscape(p.title)}</title>\n          </item>`);
+    }
+    organization.push(`        <item identifier="module_${m + 1}">\n          <title>${htmlEscape(mod.title)}</title>\n${children.join("\n")}\n        </item>`);
+  }
+  // Pages are written once all are rendered, so links between them can be resolved
+  linkAcrossPages(rendered);
+  for (const r of rendered) {
+    fs.writeFileSync(path.join(ccDir, r.href), `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8"/>
+<title>${htmlEscape(r.title)}</title>
+</head>
+<body>
+${r.html}
+</body>
+</html>
+`);
+  }
+
+  // Media files are one shared resource so every page that shows an image can depend on it
+  const mediaFiles = copyMedia.files.map(f => `web_resources/media/${f}`);
+  const resourceXml = resources.map(r => {
+    const meta = r.source
+      ? `\n      <metadata>\n        <lom:lom>\n          <lom:rights>\n            <lom:copyrightAndOtherRestrictions><lom:value>yes</lom:value></lom:copyrightAndOtherRestrictions>\n            <lom:description><lom:string>${htmlEscape(r.source.text)}</lom:string></lom:description>\n          </lom:rights>\n        </lom:lom>\n      </metadata>`
+      : "";
+    const dep = r.media.length ? `\n      <dependency identifierref="res_media"/>` : "";
+    return `    <resource identifier="${r.id}" type="webcontent" href="${r.href}">${meta}\n      <file href="${r.href}"/>${dep}\n    </resource>`;
+  });
+  if (mediaFiles.length) {
+    resourceXml.push(`    <resource identifier="res_media" type="webcontent">\n${mediaFiles.map(f => `      <file href="${htmlEscape(f)}"/>`).join("\n")}\n    </resource>`);
+  }
+
+  const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="myot_${nanoid(10)}"
+  xmlns="http://www.imsglobal.org/xsd/imsccv1p1/imscp_v1p1"
+  xmlns:lom="http://ltsc.ieee.org/xsd/imsccv1p1/LOM/resource"
+  xmlns:lomimscc="http://ltsc.ieee.org/xsd/imsccv1p1/LOM/manifest"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imsccv1p1/imscp_v1p1 http://www.imsglobal.org/profile/cc/ccv1p1/ccv1p1_imscp_v1p2_v1p0.xsd http://ltsc.ieee.org/xsd/imsccv1p1/LOM/resource http://www.imsglobal.org/profile/cc/ccv1p1/LOM/ccv1p1_lomresource_v1p0.xsd http://ltsc.ieee.org/xsd/imsccv1p1/LOM/manifest http://www.imsglobal.org/profile/cc/ccv1p1/LOM/ccv1p1_lommanifest_v1p0.xsd">
+  <metadata>
+    <schema>IMS Common Cartridge</schema>
+    <schemaversion>1.1.0</schemaversion>
+    <lomimscc:lom>
+      <lomimscc:general>
+        <lomimscc:title><lomimscc:string>${htmlEscape(title)}</lomimscc:string></lomimscc:title>${description ? `\n        <lomimscc:description><lomimscc:string>${htmlEscape(description)}</lomimscc:string></lomimscc:description>` : ""}
+      </lomimscc:general>
+      <lomimscc:rights>
+        <lomimscc:copyrightAndOtherRestrictions><lomimscc:value>yes</lomimscc:value></lomimscc:copyrightAndOtherRestrictions>
+        <lomimscc:description><lomimscc:string>${htmlEscape(rights)}</lomimscc:string></lomimscc:description>
+      </lomimscc:rights>
+    </lomimscc:lom>
+  </metadata>
+  <organizations>
+    <organization identifier="org_1" structure="rooted-hierarchy">
+      <item identifier="LearningModules">
+${organization.join("\n")}
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+${resourceXml.join("\n")}
+  </resources>
+</manifest>
+`;
+  fs.writeFileSync(path.join(ccDir, "imsmanifest.xml"), manifest);
+  return { modules: modules.length, pages: resources.length };
+}
+
+// ---- render cache ----
+// Converted markdown and extracted media per item, keyed by everything the conversion depends on,
+// so a re-export only fetches and converts items that changed. Each entry is a directory
+// RENDER_CACHE_DIR/<key>/ holding item.md, meta.json and media/. Items are converted in a staging
+// directory whose media/ folder collects what Pandoc and the SVG scrub write, and the markdown
+// refers to those files by bare name, which --resource-path resolves inside the build workdir.
+const RENDER_CACHE_VERSION = 2;
+// Pages fetched from the web are converted again once their entry is this old
+const RENDER_CACHE_WEB_TTL_MS = Number(process.env.RENDER_CACHE_WEB_TTL_HOURS || 168) * 60 * 60 * 1000;
+
+function renderCacheKey(it) {
+  const abs = it.local_path ? resolveLocalPath(it.local_path) : null;
+  const stat = abs ? fs.statSync(abs) : null;
+  // Citation, license and index details don't change the rendered markdown (and get auto-filled on first fetch)
+  const { bib, license, indexTerms, ...options } = it.options || {};
+  return crypto.createHash("sha256").update(JSON.stringify({
+    version: RENDER_CACHE_VERSION,
+    type: it.type,
+    url: it.source_url || null,
+    file: it.local_path ? { name: it.local_path, size: stat?.size ?? null, mtime: stat?.mtimeMs ?? null } : null,
+    options,
+    cachedContent: it.cached_content || null
+  })).digest("hex");
+}
+
+function readRenderCache(key, maxAgeMs = Infinity) {
+  const dir = path.join(RENDER_CACHE_DIR, key);
+  try {
+    const meta = JSON.parse(fs.readFileSync(path.join(dir, "meta.json"), "utf8"));
+    if (Date.now() - Date.parse(meta.createdAt) > maxAgeMs) return null;
+    const mdPath = path.join(dir, "item.md");
+    const md = fs.existsSync(mdPath) ? fs.readFileSync(mdPath, "utf8") : null;
+    const now = new Date();
+    fs.utimesSync(dir, now, now);
+    return { dir, md, meta };
+  } catch {
+    return null;
+  }
+}
+
+// Written to a temporary directory first, so a concurrent export never sees half an entry
+function writeRenderCache(key, { md = null, mediaDir, meta = {} }) {
+  const dir = path.join(RENDER_CACHE_DIR, key);
+  const tmp = fs.mkdtempSync(path.join(RENDER_CACHE_DIR, `.tmp-${key.slice(0, 8)}-`));
+  try {
+    if (md != null) fs.writeFileSync(path.join(tmp, "item.md"), md, "utf8");
+    if (mediaDir && fs.existsSync(mediaDir)) fs.cpSync(mediaDir, path.join(tmp, "media"), { recursive: true });
+    fs.writeFileSync(path.join(tmp, "meta.json"), JSON.stringify({ ...meta, createdAt: nowISO() }));
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.renameSync(tmp, dir);
+  } catch (err) {
+    console.warn(`⚠ Could not write render cache entry ${key}:`, err.message);
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+// Media of a cache entry or a staging directory go next to the rest of the build's files
+function copyItemMedia(mediaDir, workdir) {
+  if (fs.existsSync(mediaDir)) fs.cpSync(mediaDir, workdir, { recursive: true });
+}
+
+function stageItem(workdir, it) {
+  const dir = fs.mkdtempSync(path.join(workdir, `stage-${it.id}-`));
+  const media = path.join(dir, "media");
+  fs.mkdirSync(media);
+  return { dir, media };
+}
+
+// Pandoc's --extract-media writes absolute paths into the staging media folder; make them bare names
+function unstageMarkdown(md, mediaDir) {
+  return md.split(mediaDir + path.sep).join("");
+}
+
+// Items fetched and converted at the same time within one export
+const EXPORT_FETCH_CONCURRENCY = Math.max(1, parseInt(process.env.EXPORT_FETCH_CONCURRENCY, 10) || 4);
+
+// ---- export pipeline (with engine preference, SVG scrub, and PROGRESS) ----
+async function exportProjectTo(format, project, items, options = {}, progressCb = () => {}) {
+  const failedPages = [];
+  const wikipediaAttribution = [];
+  const nonWikiAttribution = [];
+  let sawAnySvg = false;
+
+  // Output file base and path
+  const sanitizedName = (project.name || "Untitled")
+    .replace(/[<>:"/\\|?*]/g, '') // Remove invalid filename characters
+    .replace(/\s+/g, '_') // Replace spaces with underscores
+    .substring(0, 100); // Limit length
+  const outBase = `${sanitizedName}-${Date.now()}`;
+  const ext = format === "markdown" ? "md" : format === "html" ? "zip" : format;
+  const onePagePerItem = format === "html" || format === "imscc";
+  const outPath = path.join(EXPORTS_DIR, `${outBase}.${ext}`);
+  removeOnCancel(outPath);
+
+  function authorBanner(md, projectRow) {
+    const u1 = creditedUser(projectRow.author_username || "andrew");
+    const uOrig = creditedUser(projectRow.original_author_username || projectRow.author_username || "andrew");
+    const parts = [];
+    parts.push(`**Reader collection assembled by ${u1.name}**${u1.affiliation ? ` of ${u1.affiliation}` : ""}.`);
+    if (projectRow.is_copy) parts.push(`Based on a previous version originally assembled by **${uOrig.name}**${uOrig.affiliation ? ` of ${uOrig.affiliation}` : ""}.`);
+    return [md, ...parts].join("\n\n");
+  }
+
+  const { showPageNumbers = true, includeToc = true } = options;
+  const projectOptions = safeParseJSON(project.options_json, {});
+  // Optional Word style template uploaded per project (see /api/projects/:id/reference-docx)
+  const referenceDoc = format === "docx" ? resolveLocalPath(projectOptions.referenceDocx) : null;
+  // Trim size, margins, bleed and crop marks for print-on-demand PDFs (null = plain default)
+  const layout = format === "pdf" ? printLayout(options.print ?? projectOptions.print) : null;
+  const theme = resolveTheme(options.theme ?? projectOptions.theme, options.themeAccent ?? projectOptions.themeAccent);
+  // Configured running headers/footers for PDF (null = plain page number, as before)
+  const heads = format === "pdf" ? runningHeadsLayout(options.runningHeads ?? projectOptions.runningHeads, { showPageNumbers }) : null;
+  const citationStyle = options.citationStyle ?? projectOptions.citationStyle ?? "chicago";
+  // Ignore the render cache and convert every item again (entries are refreshed as items are converted)
+  const rebuild = !!options.rebuild;
+  let reusedItems = 0;
+  const totalSteps = 4 + items.length + (format === "pdf" ? 1 : 0);
+  let step = 0;
+  const report = (message) => progressCb({ step: Math.min(++step, totalSteps), total: totalSteps, message });
+
+  report("Preparing workspace");
+  const workdir = fs.mkdtempSync(path.join(TMP_DIR, `build-${project.id}-`));
+  removeOnCancel(workdir);
+  const latexArgs = format === "pdf" ? themeLatexArgs(theme, workdir, adminLatexTemplate(projectOptions)) : [];
+  const bookTitle = (items.find(it => it.type === "titlepage")?.title || "").trim() || project.name || "";
+  const runningHeadsTex = heads ? path.join(workdir, "running-heads.tex") : null;
+  if (heads) writeRunningHeadsTex(runningHeadsTex, heads, { book: bookTitle, mirror: !!layout?.mirror });
+  // Glossary entries, linked from their first mention in each item after the items are collected
+  const glossary = glossaryTerms(items);
+  const glossaryPagesTex = format === "pdf" && glossary.length ? path.join(workdir, "glossary-pages.tex") : null;
+  if (glossaryPagesTex) writeGlossaryPagesTex(glossaryPagesTex, new Map());
+  // Body pages carry the running heads; the title page keeps its own empty page style
+  const bodyLatexArgs = [
+    ...latexArgs,
+    ...(heads ? ["--include-in-header", runningHeadsTex] : []),
+    ...(glossaryPagesTex ? ["--include-in-header", glossaryPagesTex] : [])
+  ];
+  const inputs = [];
+  const frontMatter = []; // Title page PDFs, placed ahead of the contents page
+  const pdfSequence = []; // Ordered sequence of body segments (markdown or PDF) to merge at the end
+  const tocEntries = []; // { title, level, segment } — segment indexes pdfSequence, resolved to a page after rendering
+  let currentHeading = null;
+  let currentItem = null; // item being collected, for its running source
+  const includedItems = new Set(); // items that made it into the export, for the license list
+
+  // Detect available PDF engines early if we're generating PDF
   let engines = [];
   let enginePaths = {}; // Store full paths for engines
   if (format === "pdf") {
@@ -1403,46 +3424,30 @@ async function exportProjectTo(format, project, items, options = {}, progressCb
     }
   }
 
-  // Check for title page - we'll generate it as a separate PDF and prepend it
+  // Title page item - for PDF it becomes a separately rendered cover prepended to the body
   let titlePageItem = items.find(it => it.type === "titlepage");
-  
+  const cover = coverDetails(project, titlePageItem);
+  // Cover images are copied into the workdir so LaTeX and Pandoc see a plain relative file name
+  let coverImageFile = null;
+  if (cover.coverImage && (format === "pdf" || format === "epub")) {
+    coverImageFile = `cover-image${path.extname(cover.coverImage).toLowerCase()}`;
+    fs.copyFileSync(cover.coverImage, path.join(workdir, coverImageFile));
+  }
+
   if (titlePageItem && format === "pdf") {
-    const titlePageTitle = (titlePageItem.title || "Untitled").trim();
-    const titlePageSubtitle = (titlePageItem.options?.subtitle || "").trim();
-    report(`Generating Title Page: ${titlePageTitle}`);
-    
-    // Create a simple markdown file for the title page
-    // Use raw LaTeX without YAML frontmatter to avoid Pandoc's default title formatting
-    let titleMd = `---\n`;
-    titleMd += `header-includes: |\n`;
-    titleMd += `  \\thispagestyle{empty}\n`;
-    titleMd += `  \\pagestyle{empty}\n`;
-    titleMd += `---\n\n`;
-    
-    // Add vertical space to position content about 40% down the page
-    titleMd += `\\vspace*{0.35\\textheight}\n\n`;
-    titleMd += `\\begin{center}\n`;
-    titleMd += `{\\Huge\\bfseries ${titlePageTitle.replace(/\\/g, '\\\\').replace(/\$/g, '\\$')}}`;
-    
-    if (titlePageSubtitle) {
-      titleMd += `\\\\[1.5cm]\n`;
-      titleMd += `{\\Large ${titlePageSubtitle.replace(/\\/g, '\\\\').replace(/\$/g, '\\$')}}`;
-    }
-    
-    titleMd += `\n\\end{center}\n\n`;
-    titleMd += `\\vspace*{\\fill}\n`;
-    
-    const titleMdPath = path.join(workdir, 'titlepage.md');
-    fs.writeFileSync(titleMdPath, titleMd);
+    report(`Generating Title Page: ${cover.title}`);
+
+    // Raw LaTeX without a YAML title to avoid Pandoc's default title formatting
+    const titleMdPath = mdFile(workdir, 'titlepage.md', coverPageMarkdown(cover, coverImageFile));
     
     // Generate title page PDF using the first available engine
     const titlePdfPath = path.join(workdir, 'titlepage.pdf');
     const firstEngine = engines[0];
     const firstEnginePath = enginePaths[firstEngine];
-    const titleArgs = ['--pdf-engine', firstEnginePath, '-V', 'geometry:margin=1in', '-o', titlePdfPath, titleMdPath];
+    const titleArgs = ['--pdf-engine', firstEnginePath, '--resource-path', workdir, ...printGeometryArgs(layout, workdir), ...latexArgs, '-o', titlePdfPath, titleMdPath];
     try {
       await run("pandoc", titleArgs);
-      pdfSequence.push({ type: 'pdf', path: titlePdfPath, description: 'Title page' });
+      frontMatter.push(titlePdfPath);
       report("Title page generated");
     } catch (e) {
       console.warn("Failed to generate title page:", e);
@@ -1451,17 +3456,155 @@ async function exportProjectTo(format, project, items, options = {}, progressCb
 
   const meta = metaYaml(workdir, { 
     title: project.name, 
-    showPageNumbers
+    showPageNumbers,
+    includeToc,
+    format,
+    cover,
+    publication: format === "epub" ? epubPublication(project, projectOptions, cover) : null
   });
-  const cssPath = ensureCss(workdir);
+  const cssPath = ensureCss(workdir, { theme, customCssPath: resolveLocalPath(projectOptions.customCss) });
+
+  // PDF exports render each run of items that starts on a fresh page as its own segment, so the
+  // page every item starts on can be measured exactly once the segments exist.
+  function flushMarkdownSegment(description) {
+    if (!inputs.length) return;
+    pdfSequence.push({ type: 'markdown', inputs: [...inputs], description });
+    inputs.length = 0;
+  }
+
+  function startNewPage() {
+    if (format === "pdf") flushMarkdownSegment('Markdown content batch');
+    else if (format === "docx") inputs.push(mdFile(workdir, `pagebreak-${nanoid(4)}.md`, "```{=openxml}\n<w:p><w:r><w:br w:type=\"page\"/></w:r></w:p>\n```\n"));
+    else inputs.push(mdFile(workdir, `pagebreak-${nanoid(4)}.md`, `\\clearpage\n\n<div class="pagebreak"></div>\n`));
+  }
+
+  // Markdown still sitting in `inputs` lands in the next pdfSequence slot, as does a PDF pushed right after a flush.
+  // mdPath is the item's own markdown file, which the HTML and cartridge exports turn into one page per item;
+  // extra carries the item's source statement and, for PDFs, the original file to attach.
+  function addTocEntry(title, isHeading, mdPath = null, extra = {}) {
+    if (isHeading) currentHeading = title;
+    if (!isHeading && currentItem) includedItems.add(currentItem);
+    // Running heads follow LaTeX marks placed just ahead of each chapter and item in the flow
+    if (heads && mdPath) {
+      const source = currentItem ? runningSource(currentItem) : title;
+      inputs.push(mdFile(workdir, `mark-${tocEntries.length}.md`, runningMarkMarkdown(currentHeading || "", isHeading ? "" : title, isHeading ? "" : source)));
+    }
+    const level = isHeading || !currentHeading ? 1 : 2;
+    if (format === "epub" && mdPath && !isHeading) nestItemHeadings(mdPath, level);
+    tocEntries.push({ title, level, isHeading, segment: pdfSequence.length, mdPath, ...extra });
+  }
+
+  // The copyright check doesn't block the export; its findings show up in the progress log
+  const compliance = licenseComplianceReport(project, items, { format });
+  if (compliance.errors || compliance.warnings) {
+    console.warn(`⚠ Copyright check for ${project.id}: ${compliance.errors} problem(s), ${compliance.warnings} warning(s)`);
+    report(`⚠️ Copyright check: ${compliance.errors} problem(s), ${compliance.warnings} warning(s) — see the compliance report`);
+  }
+
+  // Fetching and converting items runs ahead of the loop below, up to EXPORT_FETCH_CONCURRENCY items
+  // at a time; the loop takes the results in item order, so the output and its progress steps come
+  // out exactly as if the items had been converted one after another.
+  const notify = (message) => progressCb({ step, total: totalSteps, message });
+
+  async function prepareWebItem(it) {
+    const fetched = !(it.type === "url" && it.cached_content);
+    const cacheKey = renderCacheKey(it);
+    const cached = rebuild ? null : readRenderCache(cacheKey, fetched ? RENDER_CACHE_WEB_TTL_MS : Infinity);
+    if (cached) {
+      copyItemMedia(path.join(cached.dir, "media"), workdir);
+      return { content: cached.md, hadSvg: !!cached.meta.hadSvg, wikipedia: cached.meta.wikipedia ? [cached.meta.wikipedia] : [], reused: true };
+    }
+    const stage = stageItem(workdir, it);
+    const out = path.join(stage.dir, `url-${it.id}.md`);
+    const wikipedia = [];
+    // Use cached content if available, otherwise fetch fresh
+    if (!fetched) {
+      fs.writeFileSync(out, it.cached_content, "utf8");
+    } else {
+      notify(`Fetching ${it.title}`);
+      const found = await convertUrlToMdSmart(it.source_url, out, wikipedia, stage.media);
+      autofillItemMetadata(it, found);
+    }
+
+    // Check if content is a bot-protection placeholder
+    const raw = fs.readFileSync(out, "utf8");
+    if (raw.includes("This website uses bot protection") || raw.includes("cannot be automatically fetched")) return { botProtected: true };
+
+    const res = await scrubMarkdownForPdf(out, stage.media);
+    const content = unstageMarkdown(fs.readFileSync(out, "utf8"), stage.media);
+    writeRenderCache(cacheKey, { md: content, mediaDir: stage.media, meta: { hadSvg: res.hadSvg, wikipedia: wikipedia[0] || null } });
+    copyItemMedia(stage.media, workdir);
+    return { content, hadSvg: res.hadSvg, wikipedia, reused: false };
+  }
+
+  async function prepareDocxItem(it, abs) {
+    const cacheKey = renderCacheKey(it);
+    const cached = rebuild ? null : readRenderCache(cacheKey);
+    if (cached) {
+      copyItemMedia(path.join(cached.dir, "media"), workdir);
+      return { content: cached.md, hadSvg: !!cached.meta.hadSvg, reused: true };
+    }
+    const stage = stageItem(workdir, it);
+    const out = path.join(stage.dir, `docx-${it.id}.md`);
+    notify(`Converting ${it.title}`);
+    // Convert DOCX to Markdown using Pandoc
+    await run("pandoc", [abs, "-f", "docx", "-t", "gfm", "-o", out]);
+    const res = await scrubMarkdownForPdf(out, stage.media);
+    const content = unstageMarkdown(fs.readFileSync(out, "utf8"), stage.media);
+    writeRenderCache(cacheKey, { md: content, mediaDir: stage.media, meta: { hadSvg: res.hadSvg } });
+    copyItemMedia(stage.media, workdir);
+    return { content, hadSvg: res.hadSvg, reused: false };
+  }
+
+  async function prepareRemoteImage(it, filename) {
+    const cacheKey = renderCacheKey(it);
+    const cached = rebuild ? null : readRenderCache(cacheKey, RENDER_CACHE_WEB_TTL_MS);
+    if (cached) {
+      copyItemMedia(path.join(cached.dir, "media"), workdir);
+      return { reused: true };
+    }
+    const stage = stageItem(workdir, it);
+    notify(`Downloading ${it.title || "image"}`);
+    await downloadToFile(it.source_url, path.join(stage.media, filename));
+    await maybeDownscaleImage(path.join(stage.media, filename));
+    writeRenderCache(cacheKey, { mediaDir: stage.media });
+    copyItemMedia(stage.media, workdir);
+    return { reused: false };
+  }
+
+  function prepareItem(it) {
+    const abs = it.local_path ? resolveLocalPath(it.local_path) : null;
+    if (it.type === "url" || it.type === "wikipedia") return prepareWebItem(it);
+    if (it.type === "docx" && abs) return prepareDocxItem(it, abs);
+    if (it.type === "image" && !it.local_path && it.source_url) return prepareRemoteImage(it, `img-${it.id}.${safeExtFromUrl(it.source_url, "jpg")}`);
+    if (it.type === "pdf" && abs) return countPdfPages(abs).then(pageCount => ({ pageCount }));
+    return null;
+  }
+
+  // Failures are kept as results (never left as rejected promises) and surface when the loop reaches the item
+  const limitPrepare = createLimiter(EXPORT_FETCH_CONCURRENCY);
+  const prepared = new Map();
+  for (const it of items) {
+    const task = limitPrepare(async () => {
+      const job = exportJobContext.getStore();
+      if (job?.cancelled) throw cancelledError();
+      if (job?.aborted) return null; // the export already failed, nobody waits for this item
+      return prepareItem(it);
+    });
+    prepared.set(it.id, task.catch(error => ({ error })));
+  }
+  const preparedItem = async (it) => {
+    const result = (await prepared.get(it.id)) || {};
+    if (result.error?.cancelled) throw result.error;
+    return result;
+  };
 
   report("Collecting items");
   let isFirstItem = true;
   let lastWasHeading = false;
-  let currentPageCount = titlePageItem ? 1 : 1; // Track cumulative page count for TOC
-  // Note: pdfsToAppend already declared above
   
   for (const it of items) {
+    currentItem = it;
     const accessed = (it.created_at ? new Date(it.created_at) : new Date());
     const accessedDate = accessed.toISOString().split("T")[0];
 
@@ -1475,12 +3618,11 @@ async function exportProjectTo(format, project, items, options = {}, progressCb
     if (it.type === "heading") {
       // Add heading without a page break - it will appear at the top of the next content
       // Only add page break if there was previous content and it wasn't a heading
-      if (!isFirstItem && !lastWasHeading) {
-        inputs.push(mdFile(workdir, `pagebreak-${nanoid(4)}.md`, `\\clearpage\n\n<div class="pagebreak"></div>\n`));
-        currentPageCount += 1; // Page break adds a page
-      }
+      if (!isFirstItem && !lastWasHeading) startNewPage();
       const headingMd = `# ${it.title}\n\n`;
-      inputs.push(mdFile(workdir, `heading-${it.id}.md`, headingMd));
+      const headingPath = mdFile(workdir, `heading-${it.id}.md`, headingMd);
+      addTocEntry(it.title, true, headingPath);
+      inputs.push(headingPath);
       report(`Added Heading: ${it.title}`);
       isFirstItem = false;
       lastWasHeading = true;  // Mark that last item was a heading
@@ -1488,66 +3630,116 @@ async function exportProjectTo(format, project, items, options = {}, progressCb
     }
     
     // Add page break before this item ONLY if it's not first and previous item wasn't a heading
-    if (!isFirstItem && !lastWasHeading) {
-      inputs.push(mdFile(workdir, `pagebreak-${nanoid(4)}.md`, `\\clearpage\n\n<div class="pagebreak"></div>\n`));
-      currentPageCount += 1; // Page break adds a page
-    }
+    if (!isFirstItem && !lastWasHeading) startNewPage();
     lastWasHeading = false;  // Reset flag
 
     let itemMd = "";
 
+    if (it.type === "text") {
+      const textPath = mdFile(workdir, `text-${it.id}.md`, await textItemMarkdown(it, { pdf: format === "pdf", workdir }));
+      const res = await scrubMarkdownForPdf(textPath, workdir);
+      if (res.hadSvg) sawAnySvg = true;
+      addTocEntry(it.title, false, textPath);
+      inputs.push(textPath);
+      report(`Added text: ${it.title}`);
+      isFirstItem = false;
+      continue;
+    }
+
+    if (it.type === "glossary") {
+      const entries = glossary.filter(t => t.itemId === it.id);
+      if (!entries.length) { report(`Skipped empty glossary: ${it.title}`); isFirstItem = false; continue; }
+      // Definitions are user-written markdown, read without raw TeX or HTML like text items
+      const glossaryMd = await sanitizeUserMarkdown(glossaryMarkdown(it.title, entries), workdir, `glossary-${it.id}`);
+      const glossaryPath = mdFile(workdir, `glossary-${it.id}.md`, glossaryMd);
+      addTocEntry(it.title, false, glossaryPath, { glossaryItem: it.id });
+      inputs.push(glossaryPath);
+      report(`Added glossary: ${it.title} (${entries.length} terms)`);
+      isFirstItem = false;
+      continue;
+    }
+
     if (it.type === "pdf") {
-      const abs = resolveLocalPath(it.local_path);
+      let abs = resolveLocalPath(it.local_path);
       if (!abs) { console.warn(`Skipping missing PDF: ${it.local_path}`); report(`Skipped missing PDF`); isFirstItem = false; continue; }
       
-      // Count pages for TOC
-      const pageCount = await countPdfPages(abs);
+      let { pageCount = null } = await preparedItem(it);
+      const totalPages = pageCount;
+      const srcName = path.basename(abs);
+      let selectedPages = null;
+
+      // Optional page selection (e.g. one article out of a whole journal issue); everything
+      // below, including text extraction for EPUB/markdown, then works on the excerpt
+      if ((it.options?.pages || "").trim()) {
+        try {
+          const selected = parsePageRanges(it.options.pages, pageCount);
+          report(`Extracting pages ${it.options.pages} from ${it.title}`);
+          abs = await extractPdfPages(abs, selected, path.join(workdir, `pdf-${it.id}-pages.pdf`));
+          pageCount = selected.length;
+          selectedPages = selected;
+        } catch (err) {
+          console.warn(`⚠ Page selection failed for ${it.title}:`, err.message);
+          report(`⚠️ Using all pages of ${it.title}: ${err.message}`);
+        }
+      }
       const pageInfo = pageCount ? ` (${pageCount} page${pageCount === 1 ? '' : 's'})` : '';
-      const tocPageInfo = showPageNumbers && pageCount ? ` (p. ${currentPageCount})` : '';
       
       // For Markdown and EPUB exports, extract text and include in document flow
-      if (format === "markdown" || format === "epub") {
+      if (format !== "pdf") {
         // Add TOC entry with page count
         itemMd += `# ${it.title}${pageInfo}\n\n`;
         
-        report(`Extracting text from PDF: ${path.basename(abs)}...`);
+        report(`Extracting text from PDF: ${srcName}...`);
         const extractedText = await extractPdfText(abs);
         if (extractedText && await pdfHasExtractableText(abs)) {
-          itemMd += `*Text extracted from PDF: ${path.basename(abs)}*\n\n`;
+          itemMd += `*Text extracted from PDF: ${srcName}*\n\n`;
           itemMd += `${extractedText}\n\n`;
           itemMd += `---\n\n`; // Add separator
           report(`✓ Added PDF with extracted text (${extractedText.length} chars): ${it.title}${pageInfo}`);
         } else {
-          itemMd += `*PDF Document: ${path.basename(abs)} - Text extraction not available (may be scanned/image-based)*\n\n`;
-          report(`⚠️ Added PDF (no extractable text): ${it.title}${pageInfo}`);
+          // Probably a scan: OCR the original upload so the cache is shared across page selections
+          const ocrPages = selectedPages || (totalPages ? Array.from({ length: totalPages }, (_, i) => i + 1) : []);
+          report(`Running OCR on scanned PDF: ${it.title}${pageInfo}`);
+          const ocrText = ocrPages.length
+            ? await ocrPdfPages(resolveLocalPath(it.local_path), it.local_path, ocrPages, (n, of) => progressCb({ step, total: totalSteps, message: `OCR page ${n} of ${of}: ${it.title}` }))
+            : null;
+          if (ocrText) {
+            itemMd += `*Text recognized by OCR from scanned PDF: ${srcName}*\n\n`;
+            itemMd += `${ocrText}\n\n`;
+            itemMd += `---\n\n`;
+            report(`✓ Added scanned PDF with OCR text (${ocrText.length} chars): ${it.title}${pageInfo}`);
+          } else {
+            itemMd += `*PDF Document: ${srcName} - Text extraction not available (may be scanned/image-based)*\n\n`;
+            report(`⚠️ Added PDF (no extractable text): ${it.title}${pageInfo}`);
+          }
         }
         
         const titled = mdFile(workdir, `pdf-${it.id}-titled.md`, itemMd);
+        addTocEntry(it.title, false, titled, { source: describeItemSource(it, accessedDate), attachment: abs });
         inputs.push(titled);
-        
-        // For markdown/epub, we estimate 1 page per PDF since we're including text
-        currentPageCount += 1;
       } else {
-        // For PDF exports, we need to handle this specially
-        // If we have accumulated markdown content, we need to mark where to render it
-        if (inputs.length > 0) {
-          pdfSequence.push({ type: 'markdown', inputs: [...inputs], description: 'Markdown content batch' });
-          inputs.length = 0; // Clear inputs array for next batch
-          hasMarkdownContent = true;
+        // For PDF exports, accumulated markdown (e.g. a preceding heading) becomes its own segment
+        flushMarkdownSegment('Markdown content batch');
+
+        if (layout) {
+          try {
+            report(`Scaling ${it.title} to ${layout.label}`);
+            abs = await fitPdfToTrim(abs, path.join(workdir, `pdf-${it.id}-trim.pdf`), layout);
+          } catch (err) {
+            console.warn(`⚠ Could not scale ${it.title} to the trim size:`, err.message);
+            report(`⚠️ Using ${it.title} at its original page size`);
+          }
         }
         
         // Add the actual PDF to the sequence
-        pdfSequence.push({ type: 'pdf', path: abs, description: it.title });
-        
-        // Update page count for TOC
-        if (pageCount) {
-          currentPageCount += pageCount;
-        } else {
-          currentPageCount += 1; // Estimate if we can't count pages
-        }
+        addTocEntry(it.title, false);
+        const runningValues = { book: bookTitle, chapter: currentHeading || "", item: it.title, source: runningSource(it) };
+        pdfSequence.push({ type: 'pdf', path: abs, description: it.title, pageCount, runningValues });
         
         report(`Added PDF in sequence: ${it.title}`);
       }
+      // Uploads are only listed under Sources once someone has entered their bibliographic details
+      if (hasBib(it.options?.bib)) nonWikiAttribution.push({ kind: "upload", title: it.title || "", url: null, accessed: accessedDate, item: it });
       
       isFirstItem = false;
       continue;
@@ -1557,47 +3749,26 @@ async function exportProjectTo(format, project, items, options = {}, progressCb
       const abs = resolveLocalPath(it.local_path);
       if (!abs) { console.warn(`Skipping missing DOCX: ${it.local_path}`); report(`Skipped missing DOCX`); isFirstItem = false; continue; }
       
-      // Count pages for TOC
-      const pageCount = await countDocxPages(abs);
-      
-      const out = path.join(workdir, `docx-${it.id}.md`);
-      // Convert DOCX to Markdown using Pandoc
-      async function convertDocxToMd(inputDocx, outputMd) {
-        await run("pandoc", [inputDocx, "-f", "docx", "-t", "gfm", "-o", outputMd]);
-      }
-      await convertDocxToMd(abs, out);
-      itemMd += `# ${it.title}\n\n` + fs.readFileSync(out, "utf8");
+      const { content, hadSvg, reused, error } = await preparedItem(it);
+      if (error) throw error;
+      if (hadSvg) sawAnySvg = true;
+      if (reused) reusedItems++;
+      itemMd += `# ${it.title}\n\n` + content;
       const titled = mdFile(workdir, `docx-${it.id}-titled.md`, itemMd);
-      const res = await scrubMarkdownForPdf(titled, workdir);
-      if (res.hadSvg) sawAnySvg = true;
+      addTocEntry(it.title, false, titled, { source: describeItemSource(it, accessedDate) });
       inputs.push(titled);
       
-      // Update page count for TOC
-      if (pageCount) {
-        currentPageCount += pageCount;
-      } else {
-        currentPageCount += 1; // Estimate if we can't count pages
-      }
-      
-      report(`Added DOCX: ${it.title}`);
+      if (hasBib(it.options?.bib)) nonWikiAttribution.push({ kind: "upload", title: it.title || "", url: null, accessed: accessedDate, item: it });
+      report(`${reused ? "Reused" : "Added"} DOCX: ${it.title}`);
       isFirstItem = false;
       continue;
     }
 
     if (it.type === "url" || it.type === "wikipedia") {
-      const out = path.join(workdir, `url-${it.id}.md`);
+      const { content, hadSvg, wikipedia, reused, botProtected, error } = await preparedItem(it);
       try {
-        // Use cached content if available, otherwise fetch fresh
-        if (it.type === "url" && it.cached_content) {
-          fs.writeFileSync(out, it.cached_content, "utf8");
-          report(`Using cached content: ${it.title}`);
-        } else {
-          await convertUrlToMdSmart(it.source_url, out, wikipediaAttribution, workdir);
-        }
-        
-        // Check if content is a bot-protection placeholder
-        const content = fs.readFileSync(out, "utf8");
-        if (content.includes("This website uses bot protection") || content.includes("cannot be automatically fetched")) {
+        if (error) throw error;
+        if (botProtected) {
           console.warn(`⚠ Skipping bot-protected page: ${it.title}`);
           failedPages.push({ 
             title: it.title, 
@@ -1608,19 +3779,18 @@ async function exportProjectTo(format, project, items, options = {}, progressCb
           isFirstItem = false;
           continue; // Skip this item entirely
         }
+        if (hadSvg) sawAnySvg = true;
+        for (const w of wikipedia) wikipediaAttribution.push({ ...w, item: it });
+        if (reused) reusedItems++;
         
         itemMd += `# ${it.title}\n\n` + content;
         const titled = mdFile(workdir, `url-${it.id}-titled.md`, itemMd);
-        const res = await scrubMarkdownForPdf(titled, workdir);
-        if (res.hadSvg) sawAnySvg = true;
+        addTocEntry(it.title, false, titled, { source: describeItemSource(it, accessedDate) });
         inputs.push(titled);
         
-        // Estimate 1-2 pages for URL content
-        currentPageCount += 2;
-        
-        report(`Added URL: ${it.title}`);
+        report(`${reused ? "Reused" : "Added"} URL: ${it.title}`);
         if (it.type === "url" && it.source_url && !isWikipedia(it.source_url)) {
-          nonWikiAttribution.push({ kind: "web", title: it.title || "", url: it.source_url, accessed: accessedDate });
+          nonWikiAttribution.push({ kind: "web", title: it.title || "", url: it.source_url, accessed: accessedDate, item: it });
         }
       } catch (err) {
         failedPages.push({ title: it.title, url: it.source_url, error: err.message });
@@ -1653,10 +3823,11 @@ async function exportProjectTo(format, project, items, options = {}, progressCb
       } else if (it.source_url) {
         ext = safeExtFromUrl(it.source_url, "jpg");
         filename += `.${ext}`;
+        const { reused, error } = await preparedItem(it);
         try {
-          await downloadToFile(it.source_url, path.join(workdir, filename));
-          await maybeDownscaleImage(path.join(workdir, filename));
-          nonWikiAttribution.push({ kind: "image", title: it.title || "", url: it.source_url, accessed: accessedDate });
+          if (error) throw error;
+          if (reused) reusedItems++;
+          nonWikiAttribution.push({ kind: "image", title: it.title || "", url: it.source_url, accessed: accessedDate, item: it });
         } catch (err) {
           console.warn(`Failed to download image from ${it.source_url}:`, err.message);
           report(`Skipped image (download error): ${it.title}`);
@@ -1670,22 +3841,38 @@ async function exportProjectTo(format, project, items, options = {}, progressCb
       }
       itemMd += `![${caption || it.title || "Image"}](${filename}){width=${widthPct}%}\n\n`;
       const imgMd = mdFile(workdir, `image-${it.id}.md`, itemMd);
+      if (it.title || onePagePerItem) addTocEntry(it.title || caption || "Image", false, imgMd, { source: describeItemSource(it, accessedDate) });
       inputs.push(imgMd);
       
-      // Images typically don't take a full page, but we increment slightly for TOC tracking
-      currentPageCount += 0.5;
-      
       report(`Added image: ${it.title}`);
       isFirstItem = false;
       continue;
     }
   }
   
+  if (reusedItems) console.log(`✓ Reused ${reusedItems} unchanged item(s) from the render cache`);
+
+  // Attribution entries formatted in the chosen citation style, or as plain bullet lines if citeproc fails
+  async function sourceList(name, entries, bulletLine) {
+    const refs = entries.map((e, i) => ({ ...e, id: `${name}-${i + 1}`, bib: e.item?.options?.bib }));
+    try {
+      report(`Formatting ${name} in ${(CITATION_STYLES[citationStyle] || CITATION_STYLES.chicago).label} style`);
+      const formatted = await renderBibliography(refs, citationStyle, workdir, name);
+      if (formatted) return formatted + "\n\n";
+    } catch (err) {
+      console.warn(`⚠ Citation formatting failed for ${name}:`, err.message);
+      report(`⚠️ Could not apply the citation style; listing ${name} plainly`);
+    }
+    return entries.map(e => bulletLine(e) + "\n\n").join("");
+  }
+
   // Attribution and Sources - will be added at the end after all content
   let attributionContent = [];
   let creditsText = authorBanner("", project);
+  let attributionPath = null;
   
-  if (wikipediaAttribution.length || nonWikiAttribution.length) {
+  const licensedItems = [...includedItems].filter(it => LICENSES[itemLicense(it).type]);
+  if (wikipediaAttribution.length || nonWikiAttribution.length || licensedItems.length) {
     // Add page break before attributions
     attributionContent.push("\\clearpage\n\n<div class=\"pagebreak\"></div>\n\n");
     attributionContent.push(creditsText + "\n\n");
@@ -1693,28 +3880,78 @@ async function exportProjectTo(format, project, items, options = {}, progressCb
     if (wikipediaAttribution.length) {
       attributionContent.push("## Attributions\n\n");
       attributionContent.push("This document includes content from Wikipedia, available under the Creative Commons Attribution-ShareAlike License (CC BY-SA).\n\n");
-      wikipediaAttribution.forEach(e => {
-        attributionContent.push(`• ${e.title} — ${e.url}${e.revision ? ` (rev ${e.revision})` : ""} (accessed ${new Date().toISOString().split("T")[0]})\n\n`);
-      });
+      const today = new Date().toISOString().split("T")[0];
+      attributionContent.push(await sourceList("wikipedia", wikipediaAttribution.map(e => ({ ...e, kind: "wiki", accessed: today })), e =>
+        `• ${e.title} — ${e.url}${e.revision ? ` (rev ${e.revision})` : ""} (accessed ${today})`));
     }
     
     if (nonWikiAttribution.length) {
       attributionContent.push("## Sources\n\n");
-      nonWikiAttribution.forEach(e => {
-        const label = e.kind === "image" ? "(image)" : "(web)";
+      attributionContent.push(await sourceList("sources", nonWikiAttribution, e => {
+        const label = { image: "(image)", upload: "(uploaded file)" }[e.kind] || "(web)";
         const title = (e.title || "").trim() || "(Untitled)";
-        attributionContent.push(`• ${title} — ${e.url} ${label} (accessed ${e.accessed})\n\n`);
-      });
+        return e.url ? `• ${title} — ${e.url} ${label} (accessed ${e.accessed})` : `• ${title} ${label}`;
+      }));
+    }
+
+    if (licensedItems.length) {
+      attributionContent.push("## Licenses\n\n");
+      for (const it of licensedItems) {
+        const license = itemLicense(it);
+        let terms = licenseLabel(license);
+        if (license.type === "fair-use" && license.justification) terms += `: ${license.justification}`;
+        else if (license.type === "permission") terms += " of the copyright holder";
+        attributionContent.push(`• ${(it.title || "").trim() || "(Untitled)"} — ${terms}${license.url ? ` (${license.url})` : ""}\n\n`);
+      }
     }
     
     // Add attribution as the last item
     const attrFile = mdFile(workdir, "zzz-attribution.md", attributionContent.join(""));
     const res = await scrubMarkdownForPdf(attrFile, workdir);
     if (res.hadSvg) sawAnySvg = true;
+    if (format === "pdf") {
+      flushMarkdownSegment('Markdown content batch');
+      currentHeading = null;
+      currentItem = null;
+      addTocEntry("Attributions", false, attrFile);
+    }
     inputs.push(attrFile);
+    attributionPath = attrFile;
     report("Added attribution page");
   }
 
+  // Glossary links go in before the index anchors, which then skip the linked mentions
+  if (glossary.length) {
+    let links = 0;
+    for (const e of tocEntries) {
+      if (!e.mdPath || e.isHeading || e.glossaryItem || e.mdPath === attributionPath) continue;
+      links += linkGlossaryTerms(e.mdPath, glossary, { pdf: format === "pdf" }).length;
+    }
+    if (links) report(`Linked ${links} glossary term mention(s)`);
+  }
+
+  // Back-of-book index. EPUB anchors go into the item files now; PDF page numbers are only
+  // known once the body has been rendered (see below).
+  const indexTerms = projectOptions.index?.enabled && (format === "pdf" || format === "epub")
+    ? indexTermList(projectOptions, [...includedItems])
+    : [];
+  let indexPath = null;
+  if (format === "epub" && indexTerms.length) {
+    const refs = new Map(indexTerms.map(t => [t.term, []]));
+    tocEntries.forEach((e, n) => {
+      if (!e.mdPath || e.isHeading) return;
+      for (const [term, id] of anchorIndexTerms(e.mdPath, indexTerms, `ix${n + 1}`)) refs.get(term).push({ id, label: e.title });
+    });
+    const entries = indexEntries(indexTerms.map(t => ({ ...t, refs: refs.get(t.term) })));
+    if (entries.length) {
+      indexPath = mdFile(workdir, "zzzz-index.md", buildEpubIndexMarkdown(entries));
+      inputs.push(indexPath);
+      report(`Added index (${entries.length} entries)`);
+    } else {
+      report("⚠️ No index: none of the index terms appear in the text");
+    }
+  }
+
   function fixAbsoluteImagePaths(workdir) {
     const mdFiles = fs.readdirSync(workdir).filter(f => f.endsWith('.md'));
     for (const f of mdFiles) {
@@ -1731,7 +3968,8 @@ async function exportProjectTo(format, project, items, options = {}, progressCb
     logImageDiagnostics(workdir);
     const engineName = engineOrNull ? (path.basename(engineOrNull) === engineOrNull ? engineOrNull : path.basename(engineOrNull)) : "default";
     report(`Rendering ${format.toUpperCase()} with ${engineName} engine`);
-    const args = buildPandocArgs({ meta, workdir, cssPath, includeToc, format, engine: engineOrNull, outPath, inputs });
+    const coverImage = coverImageFile ? path.join(workdir, coverImageFile) : null;
+    const args = buildPandocArgs({ meta, workdir, cssPath, includeToc, format, engine: engineOrNull, outPath, inputs, referenceDoc, coverImage });
     return run("pandoc", args);
   }
 
@@ -1754,65 +3992,296 @@ async function exportProjectTo(format, project, items, options = {}, progressCb
       const content = fs.readFileSync(inputFile, 'utf8');
       combined += content + "\n\n";
     }
-    
-    fs.writeFileSync(outPath, combined, 'utf8');
-    report("Markdown export complete");
-  } else if (format !== "pdf") {
-    await tryPandoc(null);
-    report("Pandoc render complete");
-  } else {
-    // PDF format with ordered sequence handling
-    
-    // If there are remaining markdown inputs, add them to the sequence
-    if (inputs.length > 0) {
-      pdfSequence.push({ type: 'markdown', inputs: [...inputs], description: 'Final markdown content' });
-      hasMarkdownContent = true;
+    
+    fs.writeFileSync(outPath, combined, 'utf8');
+    report("Markdown export complete");
+  } else if (format === "html") {
+    fixAbsoluteImagePaths(workdir);
+    report("Building static website");
+    const siteDir = path.join(workdir, "site");
+    const pageCount = await buildHtmlSite({
+      siteDir,
+      workdir,
+      title: (titlePageItem?.title || "").trim() || project.name || "Untitled",
+      subtitle: (titlePageItem?.options?.subtitle || "").trim(),
+      pages: tocEntries.filter(e => e.mdPath),
+      attributionPath
+    });
+    const zip = new AdmZip();
+    zip.addLocalFolder(siteDir);
+    zip.writeZip(outPath);
+    report(`Website export complete (${pageCount} pages)`);
+  } else if (format === "imscc") {
+    fixAbsoluteImagePaths(workdir);
+    report("Building Common Cartridge");
+    const ccDir = path.join(workdir, "cartridge");
+    const rights = [creditsText.replace(/\*\*/g, "").replace(/\s+/g, " ").trim()];
+    if (wikipediaAttribution.length) rights.push("Includes content from Wikipedia, available under the Creative Commons Attribution-ShareAlike License (CC BY-SA).");
+    if (attributionPath) rights.push("Sources for each page are listed in the Attributions module.");
+    const { modules, pages } = await buildCommonCartridge({
+      ccDir,
+      workdir,
+      title: (titlePageItem?.title || "").trim() || project.name || "Untitled",
+      description: (titlePageItem?.options?.subtitle || "").trim(),
+      rights: rights.join(" "),
+      pages: tocEntries.filter(e => e.mdPath),
+      attributionPath
+    });
+    const zip = new AdmZip();
+    zip.addLocalFolder(ccDir);
+    zip.writeZip(outPath);
+    report(`Common Cartridge export complete (${modules} modules, ${pages} pages)`);
+  } else if (format !== "pdf") {
+    if (format === "epub") {
+      const { accessibilitySummary: summary, accessibilityHazards: hazards } = projectOptions.publication || {};
+      fs.appendFileSync(meta, "\n" + epubAccessibilityYaml(inputs, { includeToc, includeIndex: !!indexPath, summary, hazards }) + "\n");
+    }
+    await tryPandoc(null);
+    report("Pandoc render complete");
+  } else {
+    // PDF format with ordered sequence handling
+    flushMarkdownSegment('Final markdown content');
+
+    // The index comes last and is rebuilt with the body, from the text of the rendered pages.
+    // Attributions come before it but aren't indexed.
+    let indexSegment = null;
+    const indexedSegments = tocEntries.find(e => attributionPath && e.mdPath === attributionPath)?.segment ?? pdfSequence.length;
+    if (indexTerms.length) {
+      if (whichExists("pdftotext")) {
+        indexSegment = pdfSequence.length;
+        tocEntries.push({ title: "Index", level: 1, isHeading: false, segment: indexSegment });
+      } else {
+        console.warn("⚠ pdftotext not found; exporting without an index");
+        report("⚠️ No index: pdftotext (poppler-utils) is needed to find page numbers");
+      }
+    }
+
+    async function renderMarkdownPdf(segmentInputs, segmentPdfPath, beforeBody, segmentLatexArgs = bodyLatexArgs) {
+      // Try each engine until one works
+      let lastErr = null;
+      for (const eng of engines) {
+        try {
+          const args = buildPandocArgs({ 
+            meta, 
+            workdir, 
+            cssPath, 
+            includeToc: false, 
+            format, 
+            engine: enginePaths[eng], 
+            outPath: segmentPdfPath, 
+            inputs: segmentInputs,
+            beforeBody,
+            layout,
+            latexArgs: segmentLatexArgs
+          });
+          await run("pandoc", args);
+          return;
+        } catch (e) { 
+          lastErr = e; 
+        }
+      }
+      throw lastErr;
+    }
+
+    // Printed folios continue from the previous segment so they match the merged file's page numbers
+    function pageStartFile(name, firstPage) {
+      return mdFile(workdir, `${name}-pagestart.tex`, `\\setcounter{page}{${firstPage}}\n`);
+    }
+
+    async function measurePdf(pdfPath, description) {
+      const pages = await countPdfPages(pdfPath);
+      if (pages) return pages;
+      console.warn(`Could not count pages in ${pdfPath}; assuming 1 for the contents page`);
+      report(`⚠️ Could not count pages in ${description}; contents page numbers may be off`);
+      return 1;
+    }
+
+    // Each segment's text is read once per rendering: uploaded PDFs never change, rendered segments
+    // only when they are rendered again
+    const uploadedPageTexts = new Map();
+    const headLines = runningHeadLines(heads, { showPageNumbers, book: bookTitle });
+    async function segmentPageTexts(i) {
+      const segment = pdfSequence[i];
+      if (segment.type === 'pdf') {
+        if (!uploadedPageTexts.has(segment.path)) uploadedPageTexts.set(segment.path, await pdfPageTexts(segment.path));
+        return uploadedPageTexts.get(segment.path);
+      }
+      if (!rendered[i].texts) rendered[i].texts = (await pdfPageTexts(bodyPdfs[i])).map(text => withoutRunningHeads(text, headLines));
+      return rendered[i].texts;
+    }
+
+    async function renderIndex(indexFirstPage) {
+      report("Finding index terms in the rendered pages");
+      const refs = new Map(indexTerms.map(t => [t.term, []]));
+      for (let i = 0; i < indexedSegments; i++) {
+        let texts = [];
+        try {
+          texts = await segmentPageTexts(i);
+        } catch (err) {
+          if (err.cancelled) throw err;
+          console.warn(`⚠ Could not read the text of ${pdfSequence[i].description} for the index:`, err.message);
+        }
+        texts.forEach((text, n) => {
+          for (const t of indexTerms) if (t.pattern.test(text)) refs.get(t.term).push(segmentStart[i] + n);
+        });
+      }
+      const entries = indexEntries(indexTerms.map(t => ({ ...t, refs: refs.get(t.term) })));
+      const indexInputs = [
+        ...(heads ? [mdFile(workdir, "index-mark.md", runningMarkMarkdown("", "Index", "Index"))] : []),
+        mdFile(workdir, "index.md", entries.length ? buildPdfIndexMarkdown(entries) : "# Index {.unnumbered .unlisted}\n\nNone of the index terms appear in the text.\n")
+      ];
+      const indexPdfPath = path.join(workdir, "index.pdf");
+      await renderMarkdownPdf(indexInputs, indexPdfPath, pageStartFile("index", indexFirstPage));
+      return { path: indexPdfPath, pages: await measurePdf(indexPdfPath, "index"), entries: entries.length };
+    }
+
+    function citesGlossaryEntry(segment, ids) {
+      const refs = ids.map(id => `\\glossaryref{${id}}`);
+      return segment.inputs.some(f => {
+        const text = fs.readFileSync(f, "utf8");
+        return refs.some(ref => text.includes(ref));
+      });
+    }
+
+    // Entry pages for \glossaryref, read back from the rendered glossaries (their first page without pdftotext)
+    let glossaryPages = new Map();
+    async function measureGlossaryPages() {
+      const pages = new Map();
+      for (const e of tocEntries.filter(e => e.glossaryItem)) {
+        let texts = [];
+        if (whichExists("pdftotext")) {
+          try {
+            texts = await segmentPageTexts(e.segment);
+          } catch (err) {
+            if (err.cancelled) throw err;
+            console.warn(`⚠ Could not read the text of ${e.title} for glossary page numbers:`, err.message);
+          }
+        }
+        const terms = glossary.filter(t => t.itemId === e.glossaryItem);
+        for (const [id, page] of glossaryEntryPages(texts, terms, segmentStart[e.segment], e.title)) pages.set(id, page);
+      }
+      return pages;
+    }
+
+    // The contents page has no running heads (its marks would all be empty)
+    const tocLatexArgs = heads ? [...latexArgs, "--include-in-header", mdFile(workdir, "toc-pagestyle.tex", "\\pagestyle{empty}\n")] : bodyLatexArgs;
+    async function renderToc(pageOf, tocFirstPage) {
+      const entries = tocEntries.map(e => ({ ...e, page: pageOf(e) }));
+      const tocMd = mdFile(workdir, "toc.md", buildTocMarkdown(entries, { showPageNumbers }));
+      const tocPdfPath = path.join(workdir, "toc.pdf");
+      await renderMarkdownPdf([tocMd], tocPdfPath, pageStartFile("toc", tocFirstPage), tocLatexArgs);
+      return { path: tocPdfPath, pages: await measurePdf(tocPdfPath, "contents page") };
+    }
+
+    let frontPages = 0;
+    for (const p of frontMatter) frontPages += await measurePdf(p, "title page");
+
+    // Pass 1: size the contents page with placeholder numbers (numbers are right-aligned,
+    // so their width doesn't change how many pages the TOC takes)
+    const wantToc = includeToc && tocEntries.length > 0;
+    let tocPages = 0;
+    if (wantToc) {
+      report("Measuring table of contents");
+      tocPages = (await renderToc(() => 9999, frontPages + 1)).pages;
+    }
+
+    // Pass 2: render every markdown segment, measuring where each one starts in the merged file.
+    // A segment is rendered again only when what it prints changed: its first page moved because
+    // the final TOC is longer or shorter than measured, or glossary page numbers came in
+    // (a few passes at most).
+    const rendered = []; // markdown segments as last rendered: { start, pages, texts }
+    let bodyPdfs = [];
+    let segmentStart = [];
+    let tocPdf = null;
+    let tocPageList = null;
+    let indexPdf = null;
+    for (let attempt = 0; ; attempt++) {
+      bodyPdfs = [];
+      segmentStart = [];
+      let nextPage = frontPages + tocPages + 1;
+      for (let i = 0; i < pdfSequence.length; i++) {
+        const segment = pdfSequence[i];
+        segmentStart.push(nextPage);
+        if (segment.type === 'pdf') {
+          bodyPdfs.push(segment.path);
+          nextPage += segment.pageCount || await measurePdf(segment.path, segment.description);
+        } else {
+          const segmentPdfPath = path.join(workdir, `batch-${i}.pdf`);
+          if (rendered[i]?.start !== nextPage) {
+            report(`Rendering markdown batch ${i + 1}/${pdfSequence.length}: ${segment.description}`);
+            await renderMarkdownPdf(segment.inputs, segmentPdfPath, pageStartFile(`batch-${i}`, nextPage));
+            rendered[i] = { start: nextPage, pages: await measurePdf(segmentPdfPath, segment.description) };
+          }
+          bodyPdfs.push(segmentPdfPath);
+          nextPage += rendered[i].pages;
+        }
+      }
+      // The index comes after everything it points at, so it is rendered once the body has settled
+      if (indexSegment !== null) segmentStart.push(nextPage);
+
+      const lastAttempt = attempt === 3;
+      let settled = true;
+      if (glossaryPagesTex) {
+        const pages = await measureGlossaryPages();
+        const moved = [...pages].filter(([id, page]) => glossaryPages.get(id) !== page).map(([id]) => id);
+        if (moved.length) {
+          glossaryPages = pages;
+          writeGlossaryPagesTex(glossaryPagesTex, pages);
+          // Only segments that print one of the moved entries' page numbers are rendered again
+          const stale = pdfSequence.flatMap((segment, i) => (segment.type === 'markdown' && citesGlossaryEntry(segment, moved) ? [i] : []));
+          for (const i of stale) rendered[i] = null;
+          if (stale.length) {
+            if (!lastAttempt) report("Re-rendering with glossary page numbers");
+            settled = false;
+          }
+        }
+      }
+      const pageList = tocEntries.map(e => segmentStart[e.segment]).join(",");
+      if (wantToc && pageList !== tocPageList) {
+        report("Generating table of contents with page numbers");
+        const toc = await renderToc(e => segmentStart[e.segment], frontPages + 1);
+        tocPdf = toc.path;
+        tocPageList = pageList;
+        if (toc.pages !== tocPages) {
+          console.warn(`Contents page grew from ${tocPages} to ${toc.pages} pages; re-rendering body`);
+          tocPages = toc.pages;
+          settled = false;
+        }
+      }
+      if (settled) break;
+      if (lastAttempt) {
+        console.warn(`⚠ Page numbers still changing after ${attempt + 1} passes; contents and page references may be off`);
+        report("⚠️ Page numbers did not settle; contents and page references may be off by a page");
+        break;
+      }
+    }
+    if (indexSegment !== null) {
+      const index = await renderIndex(segmentStart[indexSegment]);
+      indexPdf = index.path;
+      report(`Index: ${index.entries} entries`);
     }
-    
-    // Now render all markdown batches and build final PDF sequence
-    const finalPdfSequence = [];
-    let batchCounter = 0;
-    
-    for (const item of pdfSequence) {
-      if (item.type === 'pdf') {
-        // Just add the PDF path to final sequence
-        finalPdfSequence.push(item.path);
-      } else if (item.type === 'markdown') {
-        // Render this batch of markdown to a temporary PDF
-        const batchPdfPath = path.join(workdir, `batch-${batchCounter}.pdf`);
-        report(`Rendering markdown batch: ${item.description}`);
-        
-        // Only include ToC in the first batch
-        const includeToC = batchCounter === 0 && includeToc;
-        batchCounter++;
-        
-        // Try each engine until one works
-        let lastErr = null;
-        for (const eng of engines) {
-          const enginePath = enginePaths[eng];
-          try {
-            const batchArgs = buildPandocArgs({ 
-              meta, 
-              workdir, 
-              cssPath, 
-              includeToc: includeToC, 
-              format, 
-              engine: enginePath, 
-              outPath: batchPdfPath, 
-              inputs: item.inputs 
-            });
-            await run("pandoc", batchArgs);
-            lastErr = null;
-            break;
-          } catch (e) { 
-            lastErr = e; 
-          }
+
+    // Uploaded PDFs get the same running heads stamped on, numbered where they land ("12 of 340"
+    // folios come later, with the rendered pages')
+    const totalSlots = heads?.needsTotal ? heads.slots.filter(s => s.field === "page") : [];
+    if (heads) {
+      for (let i = 0; i < pdfSequence.length; i++) {
+        const segment = pdfSequence[i];
+        if (segment.type !== 'pdf') continue;
+        try {
+          bodyPdfs[i] = await stampRunningHeads(segment.path, path.join(workdir, `pdf-${i}-heads.pdf`), {
+            heads: { ...heads, slots: heads.slots.filter(s => !totalSlots.includes(s)) },
+            values: segment.runningValues,
+            firstPage: segmentStart[i],
+            layout
+          });
+        } catch (err) {
+          console.warn(`⚠ Could not stamp running heads on ${segment.description}:`, err.message);
+          report(`⚠️ No running heads on ${segment.description}`);
         }
-        if (lastErr) throw lastErr;
-        
-        finalPdfSequence.push(batchPdfPath);
       }
     }
+    const finalPdfSequence = [...frontMatter, ...(tocPdf ? [tocPdf] : []), ...bodyPdfs, ...(indexPdf ? [indexPdf] : [])];
     
     report("Pandoc rendering complete");
 
@@ -1821,6 +4290,7 @@ async function exportProjectTo(format, project, items, options = {}, progressCb
       report(`Merging ${finalPdfSequence.length} PDF components in order`);
       
       const merged = path.join(EXPORTS_DIR, `${outBase}-merged.pdf`);
+      removeOnCancel(merged);
       const merger = findPdfMerger();
       
       if (!merger) {
@@ -1841,7 +4311,29 @@ async function exportProjectTo(format, project, items, options = {}, progressCb
       // Only one component, just copy it to output
       fs.copyFileSync(finalPdfSequence[0], outPath);
     }
-    
+
+    // The total page count is known now, so "12 of 340" folios go on every body page at once
+    if (totalSlots.length && fs.existsSync(outPath)) {
+      const skip = frontPages + tocPages;
+      try {
+        await stampRunningHeads(outPath, outPath, { heads: { ...heads, slots: totalSlots }, firstPage: skip + 1, skip, total: await countPdfPages(outPath), layout });
+      } catch (err) {
+        console.warn("Failed to stamp page numbers:", err.message);
+        report("⚠️ Could not add page numbers to the PDF");
+      }
+    }
+
+    // Mergers drop (or mix up) the outlines of their inputs, so rebuild one from the project items
+    if (fs.existsSync(outPath) && tocEntries.length) {
+      report("Writing PDF bookmarks");
+      try {
+        await writePdfOutline(outPath, tocEntries.map(e => ({ ...e, page: segmentStart[e.segment] })));
+      } catch (err) {
+        console.warn("Failed to write PDF outline:", err.message);
+        report("⚠️ Could not add bookmarks to the PDF");
+      }
+    }
+
     report("PDF export complete");
   }
 
@@ -1861,6 +4353,171 @@ async function exportProjectTo(format, project, items, options = {}, progressCb
   };
 }
 
+// ---- preflight (POST /api/projects/:id/preflight) ----
+// Checks every item the way an export would use it, without fetching through the full pipeline
+// or rendering, so broken sources and missing tools show up before a long build.
+const PREFLIGHT_TIMEOUT_MS = Number(process.env.PREFLIGHT_TIMEOUT_MS || 10000);
+const PREFLIGHT_CONCURRENCY = 4;
+const WORDS_PER_PAGE = 450;
+
+function pagesForWords(words) {
+  return Math.max(1, Math.ceil(words / WORDS_PER_PAGE));
+}
+
+function countWords(text) {
+  return (String(text || "").match(/\S+/g) || []).length;
+}
+
+// One GET with a timeout (no retries with other user agents, unlike fetchHtml)
+async function probeUrl(url, accept) {
+  try {
+    await waitForHost(url);
+    const res = await fetch(url, {
+      redirect: "follow",
+      headers: { "User-Agent": USER_AGENT, "Accept": accept },
+      signal: AbortSignal.timeout(PREFLIGHT_TIMEOUT_MS)
+    });
+    const type = res.headers.get("content-type") || "";
+    const body = type.includes("html") ? await res.text() : (await res.arrayBuffer(), "");
+    const botProtected = /Just a moment|cf-browser-verification|challenge-platform/.test(body);
+    return { ok: res.ok && !botProtected, status: res.status, type, body, botProtected };
+  } catch (err) {
+    return { ok: false, status: null, error: err.name === "TimeoutError" ? `no response within ${PREFLIGHT_TIMEOUT_MS / 1000}s` : err.cause?.code || err.message };
+  }
+}
+
+// Word count of a DOCX from its document.xml, as a cheap stand-in for converting it
+function docxWordCount(docxPath) {
+  const xml = new AdmZip(docxPath).readAsText("word/document.xml");
+  return countWords(xml.replace(/<w:p[ >]/g, " $&").replace(/<[^>]+>/g, ""));
+}
+
+async function preflightItem(it, { format, ocrAvailable }) {
+  const result = { id: it.id, title: it.title, type: it.type, pages: 0, messages: [] };
+  const note = (level, message) => result.messages.push({ level, message });
+  const opts = it.options || {};
+
+  if (it.type === "heading") return result;
+  if (it.type === "text") {
+    if (!(it.body_md || "").trim()) note("warning", "No text yet; only the title will be exported");
+    result.pages = pagesForWords(countWords(it.body_md));
+    return result;
+  }
+  if (it.type === "glossary") {
+    const entries = cleanGlossaryEntries(opts.entries);
+    if (!entries.length) note("warning", "Glossary has no entries; it will be skipped");
+    else result.pages = pagesForWords(countWords(entries.map(e => `${e.term} ${e.definition}`).join(" ")));
+    return result;
+  }
+  if (it.type === "titlepage") {
+    if (format === "pdf") result.pages = 1;
+    if (it.local_path && !resolveLocalPath(it.local_path)) note("warning", "Cover image is missing from the uploads folder");
+    return result;
+  }
+
+  if (it.type === "pdf" || it.type === "docx" || (it.type === "image" && it.local_path)) {
+    const abs = resolveLocalPath(it.local_path);
+    if (!abs) {
+      note("error", `Uploaded file is missing (${path.basename(it.local_path || "")}); it will be skipped`);
+      return result;
+    }
+    if (it.type === "docx") {
+      try { result.pages = pagesForWords(docxWordCount(abs)); }
+      catch (err) { note("error", `Could not read the DOCX file: ${err.message}`); }
+    } else if (it.type === "pdf") {
+      const total = await countPdfPages(abs);
+      result.pages = total || 1;
+      if (!total) note("warning", "Could not count the PDF's pages");
+      if ((opts.pages || "").trim()) {
+        try { result.pages = parsePageRanges(opts.pages, total).length; }
+        catch (err) { note("error", err.message); }
+      }
+      if (!(await pdfHasExtractableText(abs))) {
+        if (format === "pdf") note("info", "Scanned PDF without a text layer; it is embedded as images");
+        else if (ocrAvailable) note("warning", "Scanned PDF without a text layer; its text will be recognized by OCR, which is slow");
+        else note("error", "Scanned PDF without a text layer, and OCR (pdftoppm + tesseract) is not installed; no text will be included");
+      }
+    } else {
+      result.pages = 1;
+    }
+    return result;
+  }
+
+  if (!it.source_url) {
+    note("error", "No source URL");
+    return result;
+  }
+
+  if (it.type === "image") {
+    const probe = await probeUrl(it.source_url, "image/*,*/*;q=0.8");
+    if (!probe.ok) note("error", `Image failed to download (${probe.error || `HTTP ${probe.status}`}); it will be skipped`);
+    else {
+      if (probe.type && !probe.type.startsWith("image/")) note("warning", `URL returned ${probe.type.split(";")[0]} rather than an image`);
+      result.pages = 1;
+    }
+    return result;
+  }
+
+  // url / wikipedia
+  if (it.type === "url" && it.cached_content) {
+    result.pages = pagesForWords(countWords(it.cached_content));
+    note("info", "Uses cached content; the page is not fetched again");
+    return result;
+  }
+  let target = normalizeUrlMaybe(it.source_url);
+  if (isWikipedia(it.source_url)) {
+    const { title, lang } = wikipediaTitleFromUrl(it.source_url);
+    target = `https://${lang}.wikipedia.org/api/rest_v1/page/html/${encodeURIComponent(title)}`;
+  }
+  const probe = await probeUrl(target, "text/html,application/xhtml+xml;q=0.9,*/*;q=0.8");
+  if (probe.botProtected) note("error", "Site uses bot protection (Cloudflare); the page will be skipped");
+  else if (!probe.ok) note("error", `Unreachable (${probe.error || `HTTP ${probe.status}`}); the page will be skipped`);
+  else {
+    const text = new JSDOM(probe.body).window.document.body?.textContent || "";
+    result.pages = pagesForWords(countWords(text));
+  }
+  return result;
+}
+
+// Parts a PDF export merges: title page, contents page, one per item that starts a new page (a heading
+// shares its part with the item after it), attributions and the index. A single part is copied as it is.
+function pdfComponentCount(project, items) {
+  const opts = safeParseJSON(project.options_json, {});
+  const content = items.filter(it => it.type !== "titlepage");
+  const parts = content.filter(it => it.type !== "heading").length || (content.length ? 1 : 0);
+  const attributions = content.some(it => !["heading", "text", "glossary"].includes(it.type));
+  return (content.length < items.length ? 1 : 0) + (opts.includeToc !== false && content.length ? 1 : 0)
+    + parts + (attributions ? 1 : 0) + (opts.index?.enabled ? 1 : 0);
+}
+
+async function preflightProject(project, items, { format = "pdf" } = {}) {
+  const tools = { pandoc: whichExists("pandoc") };
+  if (format === "pdf") {
+    tools.pdfEngine = findPdfEngine("tectonic") ? "tectonic" : findPdfEngine("xelatex") ? "xelatex" : null;
+    tools.pdfMerger = findPdfMerger()?.tool || null;
+  }
+  const ocrAvailable = whichExists("pdftoppm") && whichExists("tesseract");
+  tools.ocr = ocrAvailable;
+
+  const problems = [];
+  if (!tools.pandoc) problems.push({ level: "error", message: "Pandoc is not installed; nothing can be exported" });
+  if (format === "pdf" && !tools.pdfEngine) problems.push({ level: "error", message: "No PDF engine found. Install tectonic or xelatex." });
+  // Merging parts and extracting page selections both need a merger
+  const needsMerger = pdfComponentCount(project, items) > 1 || items.some(it => it.type === "pdf" && (it.options?.pages || "").trim());
+  if (format === "pdf" && !tools.pdfMerger && needsMerger) problems.push({ level: "error", message: "No PDF merger found. Install qpdf, pdfunite (poppler-utils) or ghostscript." });
+
+  const limit = createLimiter(PREFLIGHT_CONCURRENCY);
+  const results = await Promise.all(items.map(it => limit(() => preflightItem(it, { format, ocrAvailable }))));
+  for (const r of results) r.status = r.messages.some(m => m.level === "error") ? "error" : r.messages.some(m => m.level === "warning") ? "warning" : "ok";
+
+  // Contents page at about 40 entries per page, plus the attribution page
+  const tocEntries = items.filter(it => it.type !== "titlepage").length;
+  const contentPages = results.reduce((n, r) => n + r.pages, 0);
+  const estimatedPages = format === "pdf" ? contentPages + Math.ceil(tocEntries / 40) + 1 : null;
+  const count = (level) => problems.filter(p => p.level === level).length + results.reduce((n, r) => n + r.messages.filter(m => m.level === level).length, 0);
+  return { format, tools, problems, items: results, estimatedPages, errors: count("error"), warnings: count("warning") };
+}
+
 // ---- routes ----
 app.get("/api/projects", (_req, res) => {
   const rows = listProjects.all();
@@ -1904,6 +4561,17 @@ app.put("/api/projects/:id", requireAuth, (req, res) => {
   const actor = req.session.user?.username || p.author_username || "andrew";
   const name = (req.body.name ?? p.name).trim();
   const options = req.body.options ?? safeParseJSON(p.options_json, {});
+  if (options.publication) {
+    try { options.publication = cleanPublication(options.publication); }
+    catch (err) { return res.status(400).json({ error: err.message }); }
+  }
+  if (options.index) options.index = cleanIndexOptions(options.index);
+  // The LaTeX file is only set through the admin upload route, never through saved options
+  const stored = safeParseJSON(p.options_json, {});
+  for (const key of ["customLatex", "customLatexName", "customLatexBy"]) {
+    if (stored[key] === undefined) delete options[key];
+    else options[key] = stored[key];
+  }
   const cur = parseVersion(p.version_text || 'v1');
   const isOriginalAuthor = actor === (p.original_author_username || p.author_username);
   let next;
@@ -2073,6 +4741,7 @@ app.post("/api/projects/:id/copy", requireAuth, (req, res) => {
         local_path: item.local_path,
         options: item.options_json,
         cached_content: item.cached_content,
+        body_md: item.body_md,
         now
       });
     }
@@ -2454,7 +5123,7 @@ app.put("/api/profile", requireAuth, (req, res) => {
   res.json({ success: true });
 });
 
-// Create item (url, wikipedia, heading, image)
+// Create item (url, wikipedia, heading, image, glossary, text)
 app.post("/api/projects/:id/items", requireAuth, async (req, res) => {
   const p = getProject.get(req.params.id);
   if (!p) return res.status(404).json({ error: "Project not found" });
@@ -2462,9 +5131,10 @@ app.post("/api/projects/:id/items", requireAuth, async (req, res) => {
   const position = items.length ? (items[items.length - 1].position + 1) : 1;
   const id = nanoid(10);
   const type = (req.body.type || "").toLowerCase();
-  let title = (req.body.title || "").trim() || (type === "heading" ? "Chapter" : "Untitled");
+  let title = (req.body.title || "").trim() || ({ heading: "Chapter", glossary: "Glossary" }[type] || "Untitled");
   let source_url = null;
   let cached_content = null;
+  let body_md = null;
   let initOptions = (req.body.options && typeof req.body.options === "object") ? req.body.options : {};
   
   if (type === "titlepage") {
@@ -2474,6 +5144,10 @@ app.post("/api/projects/:id/items", requireAuth, async (req, res) => {
       initOptions.subtitle = "";
     }
     // source_url stays null
+  } else if (type === "glossary") {
+    initOptions.entries = cleanGlossaryEntries(initOptions.entries);
+  } else if (type === "text") {
+    body_md = String(req.body.body || "").slice(0, TEXT_ITEM_MAX_CHARS);
   } else if (["url", "wikipedia", "image"].includes(type)) {
     const rawUrl = req.body.url || null;
     source_url = rawUrl ? normalizeUrlMaybe(rawUrl.trim()) : null;
@@ -2483,8 +5157,11 @@ app.post("/api/projects/:id/items", requireAuth, async (req, res) => {
       try {
         const tempDir = fs.mkdtempSync(path.join(TMP_DIR, `cache-${id}-`));
         const tempMd = path.join(tempDir, "content.md");
-        await convertUrlToMdSmart(source_url, tempMd, [], tempDir);
+        const found = await convertUrlToMdSmart(source_url, tempMd, [], tempDir);
         cached_content = fs.readFileSync(tempMd, "utf8");
+        const bib = found && mergeBib(initOptions.bib, found.bib);
+        if (bib) initOptions.bib = bib;
+        if (found?.license && !initOptions.license?.type) initOptions.license = found.license;
         // Clean up temp directory
         fs.rmSync(tempDir, { recursive: true, force: true });
       } catch (err) {
@@ -2494,8 +5171,8 @@ app.post("/api/projects/:id/items", requireAuth, async (req, res) => {
     }
   }
   
-  if (!["url","wikipedia","heading","image","titlepage"].includes(type)) return res.status(400).json({ error: "Invalid type" });
-  insertItem.run({ id, project_id: p.id, position, type, title, source_url, local_path: null, options: JSON.stringify(initOptions), cached_content, now: nowISO() });
+  if (!["url","wikipedia","heading","image","titlepage","glossary","text"].includes(type)) return res.status(400).json({ error: "Invalid type" });
+  insertItem.run({ id, project_id: p.id, position, type, title, source_url, local_path: null, options: JSON.stringify(initOptions), cached_content, body_md, now: nowISO() });
   res.json({ id, type, title, source_url, position, cached_content: cached_content ? true : false });
 });
 
@@ -2518,10 +5195,99 @@ app.post("/api/projects/:id/items/upload", requireAuth, upload.single("file"), (
   let initOptions = {};
   if (typeof req.body.options === "string") initOptions = safeParseJSON(req.body.options, {});
   else if (req.body.options && typeof req.body.options === "object") initOptions = req.body.options;
-  insertItem.run({ id, project_id: p.id, position, type, title, source_url: null, local_path: file.filename, options: JSON.stringify(initOptions), cached_content: null, now: nowISO() });
+  insertItem.run({ id, project_id: p.id, position, type, title, source_url: null, local_path: file.filename, options: JSON.stringify(initOptions), cached_content: null, body_md: null, now: nowISO() });
   res.json({ id, type, title, position, filename: file.filename });
 });
 
+// Copies of a project start with the same options, so a replaced or removed project file (style
+// template, theme file) is only deleted once no other project uses it
+function removeProjectUpload(filename, projectId) {
+  const abs = resolveLocalPath(filename);
+  if (!abs) return;
+  const shared = db.prepare(`SELECT 1 FROM projects WHERE id != ? AND options_json LIKE ?`).get(projectId, `%${path.basename(abs)}%`);
+  if (!shared) fs.rmSync(abs, { force: true });
+}
+
+// Upload or remove the Word style template (reference.docx) used for DOCX exports
+app.post("/api/projects/:id/reference-docx", requireAuth, upload.single("file"), (req, res) => {
+  const p = getProject.get(req.params.id);
+  if (!p) return res.status(404).json({ error: "Project not found" });
+  const file = req.file;
+  if (!file) return res.status(400).json({ error: "No file" });
+  if (file.mimetype !== "application/vnd.openxmlformats-officedocument.wordprocessingml.document") {
+    fs.unlinkSync(file.path);
+    return res.status(400).json({ error: "Only DOCX files can be used as a style template" });
+  }
+  const options = safeParseJSON(p.options_json, {});
+  const previous = options.referenceDocx;
+  options.referenceDocx = file.filename;
+  options.referenceDocxName = file.originalname;
+  db.prepare(`UPDATE projects SET options_json=?, updated_at=? WHERE id=?`).run(JSON.stringify(options), nowISO(), p.id);
+  removeProjectUpload(previous, p.id);
+  res.json({ ok: true, filename: file.filename, name: file.originalname });
+});
+
+app.delete("/api/projects/:id/reference-docx", requireAuth, (req, res) => {
+  const p = getProject.get(req.params.id);
+  if (!p) return res.status(404).json({ error: "Project not found" });
+  const options = safeParseJSON(p.options_json, {});
+  const previous = options.referenceDocx;
+  delete options.referenceDocx;
+  delete options.referenceDocxName;
+  db.prepare(`UPDATE projects SET options_json=?, updated_at=? WHERE id=?`).run(JSON.stringify(options), nowISO(), p.id);
+  removeProjectUpload(previous, p.id);
+  res.json({ ok: true });
+});
+
+// Custom theme files per project: kind 'css' (appended to the EPUB stylesheet) or
+// 'latex' (a full pandoc template if it contains $body$, otherwise extra preamble). LaTeX runs with
+// the server's file access (\input{/etc/passwd}), so only admins can upload it; the uploader is kept
+// in options.customLatexBy and exports ignore templates without one.
+const CUSTOM_THEME_FILES = {
+  css: { option: "customCss", extensions: [".css"] },
+  latex: { option: "customLatex", extensions: [".tex", ".latex", ".template"], adminOnly: true }
+};
+
+app.post("/api/projects/:id/custom-theme/:kind", requireAuth, upload.single("file"), (req, res) => {
+  const p = getProject.get(req.params.id);
+  if (!p) return res.status(404).json({ error: "Project not found" });
+  const kind = CUSTOM_THEME_FILES[req.params.kind];
+  const file = req.file;
+  if (!kind) { if (file) fs.unlinkSync(file.path); return res.status(400).json({ error: "Unknown theme file type" }); }
+  if (!file) return res.status(400).json({ error: "No file" });
+  if (kind.adminOnly && !req.session.user.is_admin) {
+    fs.unlinkSync(file.path);
+    return res.status(403).json({ error: "Only admins can upload LaTeX templates" });
+  }
+  if (!kind.extensions.includes(path.extname(file.originalname).toLowerCase())) {
+    fs.unlinkSync(file.path);
+    return res.status(400).json({ error: `Expected a ${kind.extensions.join(" / ")} file` });
+  }
+  const options = safeParseJSON(p.options_json, {});
+  const previous = options[kind.option];
+  options[kind.option] = file.filename;
+  options[`${kind.option}Name`] = file.originalname;
+  if (kind.adminOnly) options[`${kind.option}By`] = req.session.user.username;
+  db.prepare(`UPDATE projects SET options_json=?, updated_at=? WHERE id=?`).run(JSON.stringify(options), nowISO(), p.id);
+  removeProjectUpload(previous, p.id);
+  res.json({ ok: true, filename: file.filename, name: file.originalname });
+});
+
+app.delete("/api/projects/:id/custom-theme/:kind", requireAuth, (req, res) => {
+  const p = getProject.get(req.params.id);
+  if (!p) return res.status(404).json({ error: "Project not found" });
+  const kind = CUSTOM_THEME_FILES[req.params.kind];
+  if (!kind) return res.status(400).json({ error: "Unknown theme file type" });
+  const options = safeParseJSON(p.options_json, {});
+  const previous = options[kind.option];
+  delete options[kind.option];
+  delete options[`${kind.option}Name`];
+  delete options[`${kind.option}By`];
+  db.prepare(`UPDATE projects SET options_json=?, updated_at=? WHERE id=?`).run(JSON.stringify(options), nowISO(), p.id);
+  removeProjectUpload(previous, p.id);
+  res.json({ ok: true });
+});
+
 // Reorder items in a project
 app.put("/api/projects/:id/items/reorder", requireAuth, (req, res) => {
   const order = req.body.order; // [{id, position}, ...]
@@ -2534,44 +5300,194 @@ app.put("/api/projects/:id/items/reorder", requireAuth, (req, res) => {
 });
 
 // Update item in a project (PATCH)
-app.patch("/api/projects/:id/items/:itemId", requireAuth, express.json(), (req, res) => {
-  const p = getProject.get(req.params.id);
-  if (!p) return res.status(404).json({ error: "Project not found" });
-  const itemId = req.params.itemId;
-  const item = getItemById.get(itemId, p.id);
-  if (!item) return res.status(404).json({ error: "Item not found" });
+app.patch("/api/projects/:id/items/:itemId", requireAuth, express.json(), async (req, res) => {
+  try {
+    const p = getProject.get(req.params.id);
+    if (!p) return res.status(404).json({ error: "Project not found" });
+    const itemId = req.params.itemId;
+    const item = getItemById.get(itemId, p.id);
+    if (!item) return res.status(404).json({ error: "Item not found" });
   
-  const { title, source_url, options } = req.body;
-  const updates = {};
+    const { title, source_url, body, options } = req.body;
+    const updates = {};
   
-  if (title !== undefined) updates.title = title;
-  if (source_url !== undefined) updates.source_url = source_url;
-  if (options !== undefined) {
-    // Merge options with existing options
-    let currentOptions = {};
-    if (item.options_json) {
+    if (title !== undefined) updates.title = title;
+    if (source_url !== undefined) updates.source_url = source_url;
+    if (body !== undefined && item.type === "text") {
+      if (String(body).length > TEXT_ITEM_MAX_CHARS) return res.status(400).json({ error: `Text is longer than ${TEXT_ITEM_MAX_CHARS} characters` });
+      updates.body_md = String(body);
+      updates.updated_at = nowISO();
+    }
+    if (options?.pages !== undefined && item.type === "pdf") {
+      const abs = resolveLocalPath(item.local_path);
       try {
-        currentOptions = JSON.parse(item.options_json);
-      } catch (e) {
-        currentOptions = {};
+        parsePageRanges(options.pages, abs && await countPdfPages(abs));
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
       }
     }
-    updates.options_json = JSON.stringify({ ...currentOptions, ...options });
-  }
+    if (options?.bib !== undefined) options.bib = cleanBib(options.bib);
+    if (options?.indexTerms !== undefined) options.indexTerms = cleanIndexTerms(options.indexTerms);
+    if (options?.entries !== undefined && item.type === "glossary") options.entries = cleanGlossaryEntries(options.entries);
+    if (options !== undefined) {
+      // Merge options with existing options
+      let currentOptions = {};
+      if (item.options_json) {
+        try {
+          currentOptions = JSON.parse(item.options_json);
+        } catch (e) {
+          currentOptions = {};
+        }
+      }
+      if (options?.license !== undefined) options.license = cleanLicense(options.license, currentOptions.license);
+      updates.options_json = JSON.stringify({ ...currentOptions, ...options });
+    }
   
-  // Build dynamic UPDATE query
-  const fields = Object.keys(updates);
-  if (fields.length === 0) {
-    return res.status(400).json({ error: "No valid fields to update" });
-  }
+    // Build dynamic UPDATE query
+    const fields = Object.keys(updates);
+    if (fields.length === 0) {
+      return res.status(400).json({ error: "No valid fields to update" });
+    }
   
-  const setClause = fields.map(f => `${f} = ?`).join(', ');
-  const values = fields.map(f => updates[f]);
-  values.push(itemId); // for WHERE clause
+    const setClause = fields.map(f => `${f} = ?`).join(', ');
+    const values = fields.map(f => updates[f]);
+    values.push(itemId); // for WHERE clause
   
-  const stmt = db.prepare(`UPDATE items SET ${setClause} WHERE id = ?`);
-  stmt.run(...values);
+    const stmt = db.prepare(`UPDATE items SET ${setClause} WHERE id = ?`);
+    stmt.run(...values);
   
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Failed to update item:", err);
+    res.status(500).json({ error: "Failed to update item" });
+  }
+});
+
+// Preview for the text item editor, converted the way the website export converts items
+app.post("/api/projects/:id/text-preview", requireAuth, express.json(), async (req, res) => {
+  const p = getProject.get(req.params.id);
+  if (!p) return res.status(404).json({ error: "Project not found" });
+  const body = String(req.body.body || "");
+  if (body.length > TEXT_ITEM_MAX_CHARS) return res.status(400).json({ error: `Text is longer than ${TEXT_ITEM_MAX_CHARS} characters` });
+  const workdir = fs.mkdtempSync(path.join(TMP_DIR, `preview-${p.id}-`));
+  try {
+    const mdPath = mdFile(workdir, "text.md", await textItemMarkdown({ id: "preview", title: (req.body.title || "").trim() || "Untitled", body_md: body }, { workdir }));
+    const { html } = await renderItemHtml(mdPath, workdir, (abs) => path.basename(abs));
+    res.json({ html, css: CALLOUT_CSS });
+  } catch (err) {
+    console.warn("Text preview failed:", err.message);
+    res.status(500).json({ error: "Preview failed: " + err.message });
+  } finally {
+    fs.rmSync(workdir, { recursive: true, force: true });
+  }
+});
+
+// Document showing permission was obtained (letter, email, license agreement) for a "permission" license.
+// It is served back for download, so only document and image types are kept, by extension and MIME type.
+const PERMISSION_DOC_TYPES = {
+  ".pdf": ["application/pdf"],
+  ".png": ["image/png"],
+  ".jpg": ["image/jpeg"],
+  ".jpeg": ["image/jpeg"],
+  ".gif": ["image/gif"],
+  ".doc": ["application/msword"],
+  ".docx": ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+  ".odt": ["application/vnd.oasis.opendocument.text"],
+  ".rtf": ["application/rtf", "text/rtf"],
+  ".txt": ["text/plain"],
+  ".eml": ["message/rfc822"]
+};
+const PERMISSION_DOC_MAX_MB = 20;
+const permissionDocUpload = multer({ storage, limits: { fileSize: PERMISSION_DOC_MAX_MB * 1024 * 1024, files: 1 } });
+
+app.post("/api/projects/:id/items/:itemId/permission-document", requireAuth, (req, res, next) => {
+  permissionDocUpload.single("file")(req, res, (err) => {
+    if (err?.code === "LIMIT_FILE_SIZE") return res.status(400).json({ error: `Permission documents can be at most ${PERMISSION_DOC_MAX_MB} MB` });
+    next(err);
+  });
+}, (req, res) => {
+  const p = getProject.get(req.params.id);
+  const item = p && getItemById.get(req.params.itemId, p.id);
+  const file = req.file;
+  if (!item) { if (file) fs.unlinkSync(file.path); return res.status(404).json({ error: "Item not found" }); }
+  if (!file) return res.status(400).json({ error: "No file" });
+  if (!(PERMISSION_DOC_TYPES[path.extname(file.originalname).toLowerCase()] || []).includes(file.mimetype)) {
+    fs.unlinkSync(file.path);
+    return res.status(400).json({ error: "Permission documents must be PDF, image (PNG, JPEG, GIF), Word, ODT, RTF, text or email (.eml) files" });
+  }
+  const options = safeParseJSON(item.options_json, {});
+  options.license = { ...(options.license?.type === "permission" ? options.license : { type: "permission" }), permissionDoc: file.filename, permissionDocName: file.originalname };
+  db.prepare(`UPDATE items SET options_json=?, updated_at=? WHERE id=?`).run(JSON.stringify(options), nowISO(), item.id);
+  res.json({ ok: true, license: options.license });
+});
+
+app.delete("/api/projects/:id/items/:itemId/permission-document", requireAuth, (req, res) => {
+  const p = getProject.get(req.params.id);
+  const item = p && getItemById.get(req.params.itemId, p.id);
+  if (!item) return res.status(404).json({ error: "Item not found" });
+  const options = safeParseJSON(item.options_json, {});
+  if (options.license) {
+    delete options.license.permissionDoc;
+    delete options.license.permissionDocName;
+  }
+  db.prepare(`UPDATE items SET options_json=?, updated_at=? WHERE id=?`).run(JSON.stringify(options), nowISO(), item.id);
+  res.json({ ok: true });
+});
+
+app.get("/api/projects/:id/items/:itemId/permission-document", requireAuth, (req, res) => {
+  const p = getProject.get(req.params.id);
+  const item = p && getItemById.get(req.params.itemId, p.id);
+  const license = item && safeParseJSON(item.options_json, {}).license;
+  const abs = resolveLocalPath(license?.permissionDoc);
+  if (!abs) return res.status(404).json({ error: "No permission document on file" });
+  res.download(abs, license.permissionDocName || path.basename(abs));
+});
+
+app.post("/api/projects/:id/preflight", requireAuth, async (req, res) => {
+  const p = getProject.get(req.params.id);
+  if (!p) return res.status(404).json({ error: "Project not found" });
+  const format = req.body?.format || "pdf";
+  const items = getItems.all(p.id).map(i => ({ ...i, options: safeParseJSON(i.options_json, {}) }));
+  try {
+    res.json(await preflightProject(p, items, { format }));
+  } catch (err) {
+    console.error("Preflight failed:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Copyright check run before exporting: unlicensed items, fair use without a justification,
+// non-commercial licenses in a commercially distributed reader and no-derivatives content that gets adapted
+app.get("/api/projects/:id/compliance", requireAuth, (req, res) => {
+  const p = getProject.get(req.params.id);
+  if (!p) return res.status(404).json({ error: "Project not found" });
+  const items = getItems.all(p.id).map(i => ({ ...i, options: safeParseJSON(i.options_json, {}) }));
+  res.json(licenseComplianceReport(p, items, { format: req.query.format || null }));
+});
+
+// Cover image for a title page item, kept as the item's upload (PNG or JPEG so LaTeX and e-readers can both use it)
+app.post("/api/projects/:id/items/:itemId/cover-image", requireAuth, upload.single("file"), (req, res) => {
+  const p = getProject.get(req.params.id);
+  const item = p && getItemById.get(req.params.itemId, p.id);
+  const file = req.file;
+  if (!item || item.type !== "titlepage") { if (file) fs.unlinkSync(file.path); return res.status(404).json({ error: "Title page not found" }); }
+  if (!file) return res.status(400).json({ error: "No file" });
+  if (!["image/png", "image/jpeg"].includes(file.mimetype)) {
+    fs.unlinkSync(file.path);
+    return res.status(400).json({ error: "Cover images must be PNG or JPEG" });
+  }
+  const options = safeParseJSON(item.options_json, {});
+  options.coverImageName = file.originalname;
+  db.prepare(`UPDATE items SET local_path=?, options_json=?, updated_at=? WHERE id=?`).run(file.filename, JSON.stringify(options), nowISO(), item.id);
+  res.json({ ok: true, filename: file.filename, name: file.originalname });
+});
+
+app.delete("/api/projects/:id/items/:itemId/cover-image", requireAuth, (req, res) => {
+  const p = getProject.get(req.params.id);
+  const item = p && getItemById.get(req.params.itemId, p.id);
+  if (!item || item.type !== "titlepage") return res.status(404).json({ error: "Title page not found" });
+  const { coverImageName: _name, ...options } = safeParseJSON(item.options_json, {});
+  db.prepare(`UPDATE items SET local_path=NULL, options_json=?, updated_at=? WHERE id=?`).run(JSON.stringify(options), nowISO(), item.id);
   res.json({ ok: true });
 });
 
@@ -2586,6 +5502,23 @@ app.delete("/api/projects/:id/items/:itemId", requireAuth, (req, res) => {
   res.json({ ok: true });
 });
 
+// Fill empty citation fields (authors, publisher, date, DOI) and the license from the item's source page
+app.post("/api/projects/:id/items/:itemId/bib/autofill", requireAuth, async (req, res) => {
+  const p = getProject.get(req.params.id);
+  if (!p) return res.status(404).json({ error: "Project not found" });
+  const item = getItemById.get(req.params.itemId, p.id);
+  if (!item) return res.status(404).json({ error: "Item not found" });
+  if (!item.source_url) return res.status(400).json({ error: "Only items with a source URL can be auto-filled" });
+  try {
+    const found = await fetchSourceMetadata(item.source_url);
+    const { bib, license } = autofillItemMetadata(item, found);
+    res.json({ ok: true, bib: bib || {}, license, found });
+  } catch (err) {
+    console.warn(`Metadata lookup failed for ${item.source_url}:`, err.message);
+    res.status(502).json({ error: `Could not read metadata: ${err.message}` });
+  }
+});
+
 // Toggle caching for a URL item
 app.post("/api/projects/:id/items/:itemId/cache", requireAuth, async (req, res) => {
   const p = getProject.get(req.params.id);
@@ -2602,8 +5535,9 @@ app.post("/api/projects/:id/items/:itemId/cache", requireAuth, async (req, res)
     try {
       const tempDir = fs.mkdtempSync(path.join(TMP_DIR, `cache-${item.id}-`));
       const tempMd = path.join(tempDir, "content.md");
-      await convertUrlToMdSmart(item.source_url, tempMd, [], tempDir);
+      const found = await convertUrlToMdSmart(item.source_url, tempMd, [], tempDir);
       cached_content = fs.readFileSync(tempMd, "utf8");
+      autofillItemMetadata(item, found);
       // Clean up temp directory
       fs.rmSync(tempDir, { recursive: true, force: true });
     } catch (err) {
@@ -2621,6 +5555,220 @@ app.post("/api/projects/:id/items/:itemId/cache", requireAuth, async (req, res)
   res.json({ ok: true, cached: cached_content ? true : false });
 });
 
+// ---- export job queue ----
+// Jobs are rows in export_jobs so the queue survives restarts; PROGRESS only holds the live
+// step/message of jobs running in this process and is dropped once the row is finished.
+const EXPORT_CONCURRENCY = Math.max(1, parseInt(process.env.EXPORT_CONCURRENCY, 10) || 2);
+const insertExportJob = db.prepare(`
+  INSERT INTO export_jobs (id,project_id,format,options_json,username,status,created_at)
+  VALUES (?,?,?,?,?,'queued',?)
+`);
+const getExportJob     = db.prepare(`SELECT * FROM export_jobs WHERE id=?`);
+const nextQueuedJob    = db.prepare(`SELECT * FROM export_jobs WHERE status='queued' ORDER BY rowid LIMIT 1`);
+const countJobsAhead   = db.prepare(`SELECT COUNT(*) AS n FROM export_jobs WHERE status='queued' AND rowid < (SELECT rowid FROM export_jobs WHERE id=?)`);
+const markJobRunning   = db.prepare(`UPDATE export_jobs SET status='running', started_at=? WHERE id=? AND status='queued'`);
+const markJobFinished  = db.prepare(`
+  UPDATE export_jobs SET status=@status, output=@output, error=@error, failed_pages_json=@failedPages, finished_at=@now
+  WHERE id=@id
+`);
+const activeExports = new Map(); // job id -> exportJobContext store of the running job
+
+// Anything still 'running' was cut off when the previous process stopped
+const interruptedJobs = db.prepare(`UPDATE export_jobs SET status='failed', error=?, finished_at=? WHERE status='running'`)
+  .run("Export was interrupted by a server restart. Retry to run it again.", nowISO());
+if (interruptedJobs.changes) console.warn(`⚠ Marked ${interruptedJobs.changes} interrupted export job(s) as failed`);
+
+function enqueueExport(projectId, format, options, username) {
+  const jobId = nanoid(12);
+  insertExportJob.run(jobId, projectId, format, JSON.stringify(options || {}), username || null, nowISO());
+  pumpExportQueue();
+  return jobId;
+}
+
+function pumpExportQueue() {
+  while (activeExports.size < EXPORT_CONCURRENCY) {
+    const job = nextQueuedJob.get();
+    if (!job) return;
+    if (!markJobRunning.run(nowISO(), job.id).changes) continue;
+    const ctx = { jobId: job.id, cancelled: false, aborted: false, children: new Set(), cleanup: [] };
+    activeExports.set(job.id, ctx);
+    // runExportJob handles export errors itself; this catches failures recording the result, so the
+    // slot is still freed for the next job
+    exportJobContext.run(ctx, () => runExportJob(job, ctx))
+      .catch(err => console.error(`✗ Export job ${job.id} failed:`, err))
+      .finally(() => {
+        activeExports.delete(job.id);
+        pumpExportQueue();
+      });
+  }
+}
+
+async function runExportJob(job, ctx) {
+  setProgress(job.id, { step: 0, total: 1, message: "Starting export...", done: false, status: "running", queuePosition: 0 });
+  try {
+    const p = getProject.get(job.project_id);
+    if (!p) throw new Error("Project not found");
+    // Parse options JSON for each item
+    const items = getItems.all(p.id).map(i => ({ ...i, options: safeParseJSON(i.options_json, {}) }));
+    const result = await exportProjectTo(job.format, p, items, safeParseJSON(job.options_json, {}), (progress) => {
+      // Progress reports double as checkpoints between steps that don't spawn anything
+      if (ctx.cancelled) throw cancelledError();
+      setProgress(job.id, { ...progress, done: false });
+    });
+
+    // Handle both old string format and new object format
+    const outPath = typeof result === 'string' ? result : result.path;
+    const failedPages = typeof result === 'object' ? result.failedPages : null;
+    markJobFinished.run({ id: job.id, status: "done", output: outPath, error: null, failedPages: failedPages ? JSON.stringify(failedPages) : null, now: nowISO() });
+    recordExport(job, p, outPath, failedPages);
+  } catch (err) {
+    if (ctx.cancelled) {
+      for (const p of ctx.cleanup) fs.rmSync(p, { recursive: true, force: true });
+      markJobFinished.run({ id: job.id, status: "cancelled", output: null, error: null, failedPages: null, now: nowISO() });
+      console.log(`✓ Export ${job.id} cancelled`);
+    } else {
+      markJobFinished.run({ id: job.id, status: "failed", output: null, error: err.message, failedPages: null, now: nowISO() });
+    }
+  } finally {
+    ctx.aborted = true;
+  }
+  PROGRESS.delete(job.id);
+}
+
+// Cancel a queued or running export. Returns false if the job already finished.
+function cancelExportJob(id) {
+  const ctx = activeExports.get(id);
+  if (ctx) {
+    if (ctx.cancelled) return true;
+    ctx.cancelled = true;
+    setProgress(id, { message: "Cancelling…" });
+    for (const child of ctx.children) killChildProcess(child);
+    return true;
+  }
+  return db.prepare(`UPDATE export_jobs SET status='cancelled', finished_at=? WHERE id=? AND status='queued'`).run(nowISO(), id).changes > 0;
+}
+
+// ---- export history & retention ----
+// Off by default, as exports were always kept: operators opt in with
+// EXPORT_RETENTION_DAYS: delete files older than this (0 keeps them forever).
+// EXPORT_RETENTION_PER_PROJECT: keep only the newest N files per project (0 = no limit).
+const EXPORT_RETENTION_DAYS = Number(process.env.EXPORT_RETENTION_DAYS ?? 0) || 0;
+const EXPORT_RETENTION_PER_PROJECT = Number(process.env.EXPORT_RETENTION_PER_PROJECT ?? 0) || 0;
+const insertExport = db.prepare(`
+  INSERT INTO exports (id,job_id,project_id,version_text,format,options_json,username,file_path,file_size,failed_pages_json,created_at)
+  VALUES (@id,@job_id,@project_id,@version_text,@format,@options_json,@username,@file_path,@file_size,@failed_pages_json,@now)
+`);
+const listProjectExports = db.prepare(`SELECT * FROM exports WHERE project_id=? ORDER BY created_at DESC`);
+const getExportRow       = db.prepare(`SELECT * FROM exports WHERE id=?`);
+const getExportByJob     = db.prepare(`SELECT * FROM exports WHERE job_id=?`);
+const markExportDeleted  = db.prepare(`UPDATE exports SET deleted_at=? WHERE id=?`);
+
+function recordExport(job, project, outPath, failedPages) {
+  let size = null;
+  try { size = fs.statSync(outPath).size; } catch {}
+  insertExport.run({
+    id: nanoid(12),
+    job_id: job.id,
+    project_id: project.id,
+    version_text: project.version_text || null,
+    format: job.format,
+    options_json: job.options_json,
+    username: job.username,
+    file_path: outPath,
+    file_size: size,
+    failed_pages_json: failedPages ? JSON.stringify(failedPages) : null,
+    now: nowISO()
+  });
+  pruneOldExports();
+}
+
+// ---- download tokens ----
+// Export files are only handed out as signed, expiring tokens: base64url(JSON payload).signature,
+// payload { e: export id, p: project id, u: username the link is scoped to, s: 1 for a public share link, x: expiry ms }
+// Never a fixed fallback: anyone reading the source could sign links with it. Without a configured
+// secret a random one is used, so links stop working when the server restarts.
+const DOWNLOAD_TOKEN_SECRET = process.env.DOWNLOAD_TOKEN_SECRET || process.env.SESSION_SECRET || (() => {
+  console.warn("⚠ Neither DOWNLOAD_TOKEN_SECRET nor SESSION_SECRET is set; download links will not survive a restart");
+  return crypto.randomBytes(32).toString("hex");
+})();
+const DOWNLOAD_LINK_TTL_HOURS = Number(process.env.DOWNLOAD_LINK_TTL_HOURS) || 24;
+const SHARE_LINK_TTL_DAYS = Number(process.env.SHARE_LINK_TTL_DAYS) || 14;
+
+function signDownloadToken({ exportId, projectId, username = null, shared = false, ttlMs = DOWNLOAD_LINK_TTL_HOURS * 60 * 60 * 1000 }) {
+  const payload = { e: exportId, p: projectId, u: shared ? null : username, x: Date.now() + ttlMs };
+  if (shared) payload.s = 1;
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const sig = crypto.createHmac("sha256", DOWNLOAD_TOKEN_SECRET).update(body).digest("base64url");
+  return { token: `${body}.${sig}`, expiresAt: new Date(payload.x).toISOString() };
+}
+
+// Returns the payload, { expired: true } for a valid but stale token, or null if it was tampered with
+function verifyDownloadToken(token) {
+  const [body, sig] = String(token || "").split(".");
+  if (!body || !sig) return null;
+  const expected = crypto.createHmac("sha256", DOWNLOAD_TOKEN_SECRET).update(body).digest();
+  const given = Buffer.from(sig, "base64url");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  const payload = safeParseJSON(Buffer.from(body, "base64url").toString("utf8"), null);
+  if (!payload?.e) return null;
+  if (Date.now() > payload.x) return { expired: true };
+  return payload;
+}
+
+// Links that aren't share links are always scoped to a user; anonymous exports get none
+function downloadUrlFor(exportRow, username) {
+  if (!username) return null;
+  return `/api/download/${signDownloadToken({ exportId: exportRow.id, projectId: exportRow.project_id, username }).token}`;
+}
+
+function pruneOldExports() {
+  const expired = new Map(); // id -> file_path
+  if (EXPORT_RETENTION_DAYS > 0) {
+    const cutoff = new Date(Date.now() - EXPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    for (const r of db.prepare(`SELECT id,file_path FROM exports WHERE deleted_at IS NULL AND created_at < ?`).all(cutoff)) expired.set(r.id, r.file_path);
+  }
+  if (EXPORT_RETENTION_PER_PROJECT > 0) {
+    const rows = db.prepare(`
+      SELECT id,file_path FROM (
+        SELECT id,file_path,deleted_at, ROW_NUMBER() OVER (PARTITION BY project_id ORDER BY created_at DESC) AS n FROM exports
+      ) WHERE deleted_at IS NULL AND n > ?
+    `).all(EXPORT_RETENTION_PER_PROJECT);
+    for (const r of rows) expired.set(r.id, r.file_path);
+  }
+  for (const [id, file] of expired) {
+    try { fs.rmSync(file, { force: true }); } catch (err) { console.warn(`⚠ Failed to delete expired export ${file}:`, err.message); continue; }
+    markExportDeleted.run(nowISO(), id);
+  }
+  if (expired.size) console.log(`✓ Removed ${expired.size} expired export file(s)`);
+}
+
+// Progress payload for /api/progress/:id: live state while running, otherwise derived from the job row
+function exportJobProgress(id) {
+  const live = PROGRESS.get(id);
+  if (live) return live;
+  const job = getExportJob.get(id);
+  if (!job) return { step: 1, total: 1, message: "Error", done: true, error: "Export job not found" };
+  if (job.status === "queued") {
+    const ahead = countJobsAhead.get(id).n;
+    return {
+      step: 0, total: 1, done: false, status: "queued", queuePosition: ahead + 1,
+      message: ahead ? `Queued — ${ahead} export${ahead === 1 ? "" : "s"} ahead of this one` : "Queued — starting shortly"
+    };
+  }
+  if (job.status === "running") return { step: 0, total: 1, message: "Starting export...", done: false, status: "running", queuePosition: 0 };
+  if (job.status === "done") {
+    const exp = getExportByJob.get(id);
+    return {
+      step: 1, total: 1, message: job.username ? "Done" : "Done — sign in to download exports", done: true, status: "done",
+      downloadUrl: exp ? downloadUrlFor(exp, job.username) : null,
+      filename: exp ? path.basename(exp.file_path) : null,
+      failedPages: safeParseJSON(job.failed_pages_json, null)
+    };
+  }
+  if (job.status === "cancelled") return { step: 0, total: 1, message: "Export cancelled", done: true, status: "cancelled", cancelled: true, retryable: true };
+  return { step: 1, total: 1, message: "Error", done: true, status: "failed", error: job.error || "Export failed", retryable: true };
+}
+
 // SSE stream of progress
 app.get("/api/progress/:id", (req, res) => {
   res.setHeader("Content-Type", "text/event-stream");
@@ -2629,7 +5777,7 @@ app.get("/api/progress/:id", (req, res) => {
   res.flushHeaders();
   const id = req.params.id;
   const send = () => {
-    const st = PROGRESS.get(id) || { step: 0, total: 1, message: "Starting..." };
+    const st = exportJobProgress(id);
     res.write(`data: ${JSON.stringify(st)}\n\n`);
     if (st.done || st.error) clearInterval(t);
   };
@@ -2638,47 +5786,91 @@ app.get("/api/progress/:id", (req, res) => {
   req.on("close", () => clearInterval(t));
 });
 
-// Optional helper to download by path (tokenize in prod)
-app.get("/api/download", (req, res) => {
-  const file = req.query.path;
-  if (!file || !fs.existsSync(file)) return res.status(404).end();
-  res.download(file, path.basename(file));
-});
-
 app.post("/api/projects/:id/export", async (req, res) => {
   const p = getProject.get(req.params.id);
   if (!p) return res.status(404).json({ error: "Project not found" });
-  const rawItems = getItems.all(p.id);
-  // Parse options JSON for each item
-  const items = rawItems.map(i => ({ ...i, options: safeParseJSON(i.options_json, {}) }));
-  const format = req.body.format; // 'pdf' | 'epub'
+  const format = req.body.format; // 'pdf' | 'epub' | 'markdown' | 'html' | 'docx' | 'imscc'
   const options = req.body || {};
-  const jobId = nanoid(12);
-  setProgress(jobId, { step: 0, total: 1, message: "Starting export...", done: false });
-  res.json({ jobId });
-  // Run export in background
-  (async () => {
-    try {
-      const result = await exportProjectTo(format, p, items, options, (progress) => {
-        setProgress(jobId, { ...progress, done: false });
-      });
-      
-      // Handle both old string format and new object format
-      const outPath = typeof result === 'string' ? result : result.path;
-      const failedPages = typeof result === 'object' ? result.failedPages : null;
-      
-      setProgress(jobId, { 
-        step: 1, 
-        total: 1, 
-        message: "Done", 
-        done: true, 
-        output: outPath,
-        failedPages: failedPages 
-      });
-    } catch (err) {
-      setProgress(jobId, { step: 1, total: 1, message: "Error", done: true, error: err.message });
-    }
-  })();
+  // Queued; runs in the background once a worker slot is free (see pumpExportQueue)
+  const jobId = enqueueExport(p.id, format, options, req.session.user?.username);
+  res.json({ jobId, queuePosition: exportJobProgress(jobId).queuePosition || 0 });
+});
+
+// Cancel a queued or running export; the SSE stream then reports status 'cancelled'.
+// Only the user who started it (or an admin) can cancel it.
+app.delete("/api/progress/:id", requireAuth, (req, res) => {
+  const job = getExportJob.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Export job not found" });
+  const me = req.session.user;
+  if (me.username !== job.username && !me.is_admin) return res.status(403).json({ error: "This export belongs to another user" });
+  if (!cancelExportJob(job.id)) return res.status(409).json({ error: `Export already ${job.status}` });
+  res.json({ ok: true });
+});
+
+// Past builds of a project, newest first
+app.get("/api/projects/:id/exports", requireAuth, (req, res) => {
+  const p = getProject.get(req.params.id);
+  if (!p) return res.status(404).json({ error: "Project not found" });
+  res.json(listProjectExports.all(p.id).map(e => {
+    const available = !e.deleted_at && fs.existsSync(e.file_path);
+    return {
+      id: e.id,
+      format: e.format,
+      version_text: e.version_text,
+      options: safeParseJSON(e.options_json, {}),
+      username: e.username,
+      file_size: e.file_size,
+      failedPages: safeParseJSON(e.failed_pages_json, null),
+      created_at: e.created_at,
+      deleted_at: e.deleted_at,
+      available,
+      // A link scoped to the signed-in user; anyone else needs a share link
+      downloadUrl: available ? downloadUrlFor(e, req.session.user.username) : null
+    };
+  }));
+});
+
+// Public share link for one export (e.g. to hand to students); valid for ?days or SHARE_LINK_TTL_DAYS.
+// Only the user who ran the export (or an admin) can share it.
+app.post("/api/exports/:id/share", requireAuth, (req, res) => {
+  const e = getExportRow.get(req.params.id);
+  if (!e) return res.status(404).json({ error: "Export not found" });
+  const me = req.session.user;
+  if (me.username !== e.username && !me.is_admin) return res.status(403).json({ error: "Only the user who ran this export can share it" });
+  if (e.deleted_at) return res.status(410).json({ error: "This export has been removed by the retention policy" });
+  const days = Math.min(365, Math.max(1, Number(req.body?.days) || SHARE_LINK_TTL_DAYS));
+  const { token, expiresAt } = signDownloadToken({ exportId: e.id, projectId: e.project_id, shared: true, ttlMs: days * 24 * 60 * 60 * 1000 });
+  res.json({ url: `/api/download/${token}`, expiresAt });
+});
+
+app.get("/api/download/:token", (req, res) => {
+  const t = verifyDownloadToken(req.params.token);
+  if (!t) return res.status(404).json({ error: "Invalid download link" });
+  if (t.expired) return res.status(410).json({ error: "This download link has expired" });
+  // Every link is either a share link or scoped to the user who got it
+  if (!t.s && !t.u) return res.status(404).json({ error: "Invalid download link" });
+  const e = getExportRow.get(t.e);
+  if (!e || e.project_id !== t.p || !getProject.get(t.p)) return res.status(404).json({ error: "Export not found" });
+  if (!t.s) {
+    const me = req.session.user;
+    if (!me) return res.status(401).json({ error: "Auth required" });
+    if (me.username !== t.u && !me.is_admin) return res.status(403).json({ error: "This download link belongs to another user" });
+  }
+  if (e.deleted_at || !fs.existsSync(e.file_path)) return res.status(410).json({ error: "This export has been removed by the retention policy" });
+  res.download(e.file_path, path.basename(e.file_path));
+});
+
+// Re-run a failed or cancelled export (e.g. one interrupted by a restart) as a new job of the
+// caller's, who must have started the original (or be an admin)
+app.post("/api/export-jobs/:id/retry", requireAuth, (req, res) => {
+  const job = getExportJob.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Export job not found" });
+  const me = req.session.user;
+  if (me.username !== job.username && !me.is_admin) return res.status(403).json({ error: "This export belongs to another user" });
+  if (job.status !== "failed" && job.status !== "cancelled") return res.status(400).json({ error: "Only failed or cancelled exports can be retried" });
+  if (!getProject.get(job.project_id)) return res.status(404).json({ error: "Project not found" });
+  const jobId = enqueueExport(job.project_id, job.format, safeParseJSON(job.options_json, {}), me.username);
+  res.json({ jobId, queuePosition: exportJobProgress(jobId).queuePosition || 0 });
 });
 
 // ---- error handler (keep API responses JSON) ----
@@ -2775,10 +5967,17 @@ async function checkSystemHealth() {
 // Run health check every 15 minutes
 setInterval(checkSystemHealth, 15 * 60 * 1000);
 
+// Apply the export retention policy hourly
+setInterval(pruneOldExports, 60 * 60 * 1000);
+
 // ---- listen ----
 const PORT = process.env.PORT || 8080;
 app.listen(PORT, async () => {
   console.log(`MYOTextbook listening on http://localhost:${PORT}\nDATA_DIR: ${DATA_DIR}\nUPLOADS_DIR: ${UPLOADS_DIR}\nEXPORTS_DIR: ${EXPORTS_DIR}\nTMP_DIR: ${TMP_DIR}`);
+
+  // Pick up exports that were still queued when the server last stopped
+  pumpExportQueue();
+  pruneOldExports();
   
   // Send startup notification
   const health = getSystemHealth();